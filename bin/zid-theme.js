@@ -0,0 +1,639 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+  loadConfig,
+  loadAllProfileConfigs,
+  printDebugInfo,
+  CONFIG_FLAGS
+} from '../lib/config.js';
+import {
+  checkSession,
+  loadCookiesFromFile,
+  extractTokensFromCookies,
+  sessionExpiresAt,
+  saveCookiesToFile
+} from '../lib/auth.js';
+import { clientForConfig } from '../lib/client.js';
+import { collectThemeFiles } from '../lib/packager.js';
+import { createZipBuffer } from '../lib/zip.js';
+import { formatProblem } from '../lib/validator.js';
+import { reportOverBudget } from '../lib/images.js';
+import { unifiedDiff } from '../lib/text-diff.js';
+import { errorKind, exitCodeFor } from '../lib/errors.js';
+import { startPreviewServer } from '../lib/preview-server.js';
+import { createMockZidServer } from '../lib/mock-zid-server.js';
+import { log, configureLogger } from '../lib/log.js';
+
+const OPTIONS = {
+  ...Object.fromEntries(Object.keys(CONFIG_FLAGS).map(flag => [flag, { type: 'string' }])),
+  profile: { type: 'string' },
+  'all-profiles': { type: 'boolean' },
+  'browser-login': { type: 'boolean' },
+  force: { type: 'boolean' },
+  'steal-lock': { type: 'boolean' },
+  'prune-assets': { type: 'boolean' },
+  'optimize-images': { type: 'boolean' },
+  'no-cache-bust': { type: 'boolean' },
+  ignore: { type: 'string', multiple: true },
+  overwrite: { type: 'boolean' },
+  'keep-temp': { type: 'boolean' },
+  fix: { type: 'boolean' },
+  layout: { type: 'string' },
+  'label-en': { type: 'string' },
+  'label-ar': { type: 'string' },
+  out: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  port: { type: 'string' },
+  lang: { type: 'string' },
+  fixtures: { type: 'string' },
+  'session-ttl': { type: 'string' },
+  'write-cookies': { type: 'boolean' },
+  fail: { type: 'string', multiple: true },
+  'mock-otp': { type: 'string' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const HELP = `Usage: zid-theme <command> [options]
+
+Commands:
+  login               Log in to the Zid dashboard and save the session
+  logout              Revoke the session on the dashboard and wipe the saved copy
+  themes list         List the themes in the account
+  build               Write the stylesheets in assets/, minified, and the templates
+                      with their Live Server links pointed at them to .zid/build;
+                      every zip is built the same way without touching the theme.
+                      .rtl.css files without a hand-written one are generated
+                      from .ltr.css
+  rtl check           Show where hand-written .rtl.css files differ from the
+                      RTL the build would generate
+  upload              Validate, package and upload the theme once
+                      (--all-profiles uploads to every profile in turn)
+  watch               Upload the theme whenever a file in it changes
+  history             List archived uploads for the theme, newest first
+  rollback <n>        Re-upload history entry n (1 is the latest upload)
+  pull                Download the live theme and diff it against the local folder
+  validate            Check the theme templates without uploading, and hand-written
+                      .rtl.css files against the RTL the build would generate
+  i18n check          Compare the locals.* keys the theme uses with locals/en.json
+                      and locals/ar.json (--fix adds placeholders for missing keys)
+  images check        List the images under assets/ that are over the size budget
+  images optimize     Prepare the images --optimize-images packages: PNGs recompressed
+                      without changing a pixel; JPEGs are not recompressed, only
+                      their metadata is stripped. The folder is left alone (needs
+                      the optional sharp package)
+  assets check        List references to missing assets and assets nothing refers to
+  schema check        Check module {% schema %} blocks against the settings their
+                      templates read, select options and ar/en labels
+  schema docs         Write a Markdown settings reference for every module
+  generate module <name>
+                      Scaffold modules/<name>.twig with the shared section settings,
+                      its .ltr.css (the build generates the .rtl.css), links both from
+                      layout.twig and adds the locale keys
+  status              Show the configuration and whether the session is valid
+  preview             Render the theme locally with fixtures and live reload
+  mock-server         Run a mock Zid dashboard API for offline testing
+
+Options (override the selected profile and the matching .env values):
+  --profile <name>      Profile from zid-theme.config.json (ZID_PROFILE)
+  --base-url <url>      ZID_BASE
+  --email <email>       ZID_EMAIL
+  --password <pass>     ZID_PASSWORD
+  --theme-id <id>       THEME_ID
+  --theme-name <name>   THEME_NAME
+  --theme-code <code>   THEME_CODE
+  --folder <dir>        THEME_FOLDER
+  --assets <dir>        ZID_ASSETS, source stylesheets published by the build (default: assets)
+  --cookies <file>      Session file (default: cookies.json)
+  --max-attempts <n>    UPLOAD_MAX_ATTEMPTS, upload attempts before giving up (default: 3)
+  --otp <code>          ZID_OTP, one-time login code when no terminal is attached
+  --browser-login       Log in through a visible Chrome window instead of HTTP
+  --env <name>          ZID_ENV, dashboard environment (default: production);
+                        more can be defined under "environments" in zid-theme.config.json
+  --proxy <url>         ZID_PROXY, HTTP(S) proxy for dashboard requests (default: HTTPS_PROXY)
+                        unless NO_PROXY lists the dashboard host
+  --ca-file <file>      ZID_CA_FILE, extra PEM certificate authority to trust
+  --force               Upload even when the package matches the last upload
+  --prune-assets        ZID_PRUNE_ASSETS=1, leave assets nothing refers to out of the zip
+                        (see \`zid-theme assets check\`)
+  --no-cache-bust       ZID_CACHE_BUST=0, zip asset URLs as written instead of adding
+                        a content hash (?hash=…) that changes when the asset does
+  --optimize-images     ZID_OPTIMIZE_IMAGES=1, package recompressed PNGs and JPEGs without
+                        metadata (see \`images optimize\`); the folder is left alone
+  --image-budget <kb>   ZID_IMAGE_BUDGET, size above which an image is reported (default: 200)
+  --steal-lock          Take over the upload lock another process holds for the theme
+  --lock-dir <dir>      ZID_LOCK_DIR, where upload locks live (default: the OS temp dir);
+                        a shared folder lets teammates see each other's locks
+
+Watch options:
+  --debounce <ms>       WATCH_DEBOUNCE_MS, quiet time before uploading (default: 1000)
+  --ignore <glob>       Skip matching paths, relative to the theme folder; repeatable
+                        (WATCH_IGNORE takes a comma-separated list)
+
+Pull options:
+  --overwrite           Write files that are new or changed on Zid into the folder;
+                        root stylesheets go back to the assets folder, generated
+                        .rtl.css files are skipped
+  -y, --yes             Overwrite without asking for confirmation
+  --keep-temp           Keep the unpacked live theme in a temp dir and print where
+
+i18n options:
+  --fix                 Add missing keys, using the other language's text or the
+                        key itself as a placeholder
+
+Schema options:
+  --out <dir>           Where \`schema docs\` writes (default: docs/modules)
+
+Generate options:
+  --layout <grid|carousel>  Item layout of a generated module (default: grid)
+  --label-en <text>     Module name shown in the dashboard in English
+  --label-ar <text>     Module name shown in the dashboard in Arabic
+  --force               Overwrite files that already exist
+
+Preview and mock-server options:
+  --port <n>            Port to listen on (preview: 4000, mock-server: 4100)
+  --lang <ar|en>        Default preview language
+  --fixtures <dir>      Preview fixture folder (default: fixtures)
+  --session-ttl <sec>   Lifetime of mock sessions (default: 3600)
+  --write-cookies       Save a mock session to the cookies file
+  --fail <mode[:n]>     Queue a mock failure: unauthorized, validation,
+                        theme-not-found or server-error
+  --mock-otp <code>     Make the mock login ask for this one-time code
+
+Output options:
+  --json                Print one JSON event per line (auth, zip, upload.start,
+                        upload.result, error, ...) instead of text
+  -q, --quiet           Only print errors and command results
+  -v, --verbose         Also print debug details such as the configuration banner
+
+  -h, --help            Show this help
+
+Generated RTL stylesheets follow these comments in the .ltr.css source:
+/*rtl:ignore*/ before a declaration or rule, /*rtl:begin:ignore*/ …
+/*rtl:end:ignore*/, /*rtl:<value>*/ after a value and /*rtl:raw:<css>*/.
+
+Sessions are stored encrypted with a key from the OS keyring (macOS keychain,
+secret-tool on Linux) or derived from ZID_SESSION_PASSPHRASE when it is set.
+Without either, the key is kept in ~/.zid-theme/session.key, readable only by
+you (ZID_SESSION_KEY_FILE moves it).
+
+Exit codes: 1 other failure, 3 auth, 4 validation, 5 theme not found,
+6 network, 7 server error, 8 theme locked by another upload.
+`;
+
+async function login(client) {
+  await client.login();
+}
+
+async function logout(client) {
+  const { config } = client;
+  const { revoked, removed } = await client.logout();
+  if (!removed) {
+    log.info('ℹ️ No saved session found');
+    return;
+  }
+  log.info(revoked ? '🔒 Session revoked on the dashboard' : '⚠️ The dashboard did not confirm the logout');
+  log.info('👋 Logged out, wiped', config.cookiesFile);
+}
+
+async function themesList(client) {
+  const { config } = client;
+  log.info('🔍 Fetching available themes...');
+  const themes = await client.listThemes();
+  log.event('themes', { themes });
+
+  log.output('\n📋 Available themes in your account:');
+  log.output('='.repeat(60));
+  themes.forEach((theme, index) => {
+    log.output(`${index + 1}. Name: ${theme.name}`);
+    log.output(`   ID: ${theme.id}`);
+    log.output(`   Status: ${theme.status || 'N/A'}`);
+    log.output(`   Created: ${theme.created_at || 'N/A'}`);
+    log.output('-'.repeat(40));
+  });
+
+  log.info('\n💡 To use a theme, copy its ID and update THEME_ID in your .env file');
+  log.info('💡 Current THEME_ID:', config.themeId);
+}
+
+async function build(client) {
+  await client.build();
+  return 0;
+}
+
+async function rtlCheck(client) {
+  const checks = await client.checkRtl();
+  log.event('rtl.check', { files: checks.map(({ file, source, changes }) => ({ file, source, changes })) });
+  if (!checks.length) {
+    log.info('ℹ️ No hand-written .rtl.css with an .ltr.css source in', client.config.assetsPath);
+    return 0;
+  }
+
+  for (const { file, source, changes, handWritten, generated } of checks) {
+    if (!changes) {
+      log.output(`✅ ${file} matches the RTL generated from ${source}`);
+      continue;
+    }
+    log.output(`\n--- ${file} (hand-written)\n+++ ${file} (generated from ${source})`);
+    unifiedDiff(handWritten.join('\n'), generated.join('\n')).forEach(line => log.output(line));
+  }
+
+  const diverged = checks.filter(check => check.changes);
+  if (diverged.length) {
+    log.error(`\n❌ ${diverged.length} hand-written RTL stylesheet(s) differ from the generated output`);
+    log.info('💡 Move the differences into the .ltr.css with /*rtl:...*/ directives, then delete the .rtl.css');
+    return 1;
+  }
+  return 0;
+}
+
+async function upload(client, values, flags) {
+  if (values['all-profiles']) return uploadAllProfiles(flags);
+  printDebugInfo(client.config);
+  await client.uploadTheme();
+  return 0;
+}
+
+function printSummaryTable(rows) {
+  const headers = ['Profile', 'Theme ID', 'Result', 'Time'];
+  const cells = rows.map(row => [row.profile, row.themeId || '-', row.result, `${(row.ms / 1000).toFixed(1)}s`]);
+  const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(cell => cell[i].length)));
+  const line = cols => cols.map((col, i) => col.padEnd(widths[i])).join('  ');
+
+  log.output('\n📊 Upload summary:');
+  log.output(line(headers));
+  log.output(widths.map(width => '-'.repeat(width)).join('  '));
+  cells.forEach(cell => log.output(line(cell)));
+}
+
+async function uploadAllProfiles(flags) {
+  const configs = loadAllProfileConfigs(flags);
+  const rows = [];
+
+  for (const config of configs) {
+    log.info(`\n🏷️ Profile ${config.profile} (${config.baseUrl})`);
+    const started = Date.now();
+    let result = '✅ uploaded';
+    let exitCode = 0;
+    try {
+      const { status } = await clientForConfig(config).uploadTheme();
+      if (status === 'skipped') result = '⏭️ unchanged';
+    } catch (err) {
+      log.error('❌', err.message);
+      result = `❌ ${errorKind(err)}`;
+      exitCode = exitCodeFor(err);
+    }
+    rows.push({ profile: config.profile, themeId: config.themeId, result, exitCode, ms: Date.now() - started });
+  }
+
+  printSummaryTable(rows);
+  log.event('upload.summary', { rows });
+  return rows.find(row => row.exitCode)?.exitCode ?? 0;
+}
+
+async function watch(client) {
+  printDebugInfo(client.config);
+  const { stopped } = await client.watch();
+  await stopped;
+  return 0;
+}
+
+function describeChanges({ added, modified, removed }) {
+  const parts = [
+    added.length && `+${added.length}`,
+    modified.length && `~${modified.length}`,
+    removed.length && `-${removed.length}`
+  ].filter(Boolean);
+  return parts.length ? parts.join(' ') : 'no changes';
+}
+
+async function history(client) {
+  const { config } = client;
+  const entries = await client.history();
+  if (!entries.length) {
+    log.info(`ℹ️ No uploads archived for theme ${config.themeId} yet`);
+    return 0;
+  }
+
+  log.event('history', {
+    themeId: config.themeId,
+    entries: entries.map(({ fileHashes, ...entry }, index) => ({ n: index + 1, ...entry }))
+  });
+  log.output(`🗂️ Upload history for theme ${config.themeId}:`);
+  entries.forEach((entry, index) => {
+    const commit = entry.commit ? `${entry.commit.slice(0, 7)}${entry.dirty ? '+dirty' : ''}` : 'no commit';
+    const note = entry.rollbackOf ? `  (rollback to ${entry.rollbackOf})` : '';
+    log.output(`${String(index + 1).padStart(3)}. ${new Date(entry.uploadedAt).toLocaleString()}  ${commit}  ${describeChanges(entry.changed)}${note}`);
+    const files = [...entry.changed.added, ...entry.changed.modified, ...entry.changed.removed];
+    if (files.length && files.length <= 5) log.output(`     ${files.join(', ')}`);
+  });
+  log.info('\n💡 Run `zid-theme rollback <n>` to upload one of these again');
+  return 0;
+}
+
+async function rollback(client, values, flags, args) {
+  if (!args[0]) throw new Error('Usage: zid-theme rollback <n>, see `zid-theme history`');
+  await client.rollback(args[0]);
+  return 0;
+}
+
+async function pull(client, values) {
+  await client.pull({ overwrite: values.overwrite, yes: values.yes, keepTemp: values['keep-temp'] });
+  return 0;
+}
+
+// Hand-written RTL stylesheets are compared here and in `rtl check` only;
+// the diff is too slow to run on every package.
+function reportRtlChecks(checks) {
+  for (const { file, source, changes } of checks) {
+    if (changes) {
+      log.warn(`⚠️ assets/${file} is hand-written and differs from the RTL generated from ${source} in ${changes} line(s); run \`zid-theme rtl check\` to see where`);
+    } else {
+      log.info(`ℹ️ assets/${file} matches the RTL generated from ${source}; delete it to let the build generate it`);
+    }
+  }
+}
+
+async function validate(client) {
+  log.info('🔎 Validating', client.config.folderPath);
+  const { errors, warnings, fileCount } = await client.validate();
+  log.event('validate', { ok: !errors.length, fileCount, errors, warnings });
+
+  warnings.forEach(w => log.warn('⚠️', formatProblem(w)));
+  errors.forEach(e => log.error('❌', formatProblem(e)));
+  reportRtlChecks(await client.checkRtl());
+
+  if (errors.length) {
+    log.error(`\n❌ ${errors.length} error(s) in ${fileCount} templates`);
+    return 1;
+  }
+  log.info(`\n✅ ${fileCount} templates are valid`);
+  return 0;
+}
+
+async function i18nCheck(client, values) {
+  const report = await client.checkLocales({ fix: values.fix });
+  const { missing, unused, identical, duplicates, added } = report;
+  log.event('i18n.check', report);
+
+  for (const [lang, keys] of Object.entries(added)) {
+    if (keys.length) log.info(`✏️ Added ${keys.length} placeholder(s) to locals/${lang}.json`);
+  }
+  for (const [lang, entries] of Object.entries(missing)) {
+    for (const { key, references } of entries) {
+      const where = references.length
+        ? `used in ${references.slice(0, 3).map(ref => `${ref.file}:${ref.line}`).join(', ')}${references.length > 3 ? ', …' : ''}`
+        : 'defined in the other language only';
+      log.output(`❌ Missing in ${lang}: ${key} (${where})`);
+    }
+  }
+  for (const [lang, entries] of Object.entries(duplicates)) {
+    entries.forEach(({ key, line }) => log.output(`❌ Duplicate in ${lang}: ${key} (locals/${lang}.json:${line}, the last one wins)`));
+  }
+  identical.forEach(key => log.output(`⚠️ Same text in every language: ${key}`));
+  unused.forEach(key => log.output(`⚠️ Unused: ${key}`));
+
+  const missingCount = Object.values(missing).reduce((sum, entries) => sum + entries.length, 0);
+  const duplicateCount = Object.values(duplicates).reduce((sum, entries) => sum + entries.length, 0);
+  const summary = `${report.referenced} keys referenced: ${missingCount} missing, ${duplicateCount} duplicate, ${identical.length} untranslated, ${unused.length} unused`;
+  if (missingCount || duplicateCount) {
+    log.error(`\n❌ ${summary}`);
+    if (missingCount && !values.fix) log.info('💡 Run `zid-theme i18n check --fix` to add placeholders');
+    return 1;
+  }
+  log.info(`\n✅ ${summary}`);
+  return 0;
+}
+
+async function imagesCheck(client) {
+  const report = await client.checkImages();
+  log.event('images.check', report);
+  reportOverBudget(report);
+  if (report.overBudget.length) {
+    log.info('💡 Upload with --optimize-images to package them recompressed; large JPEGs need exporting at a lower quality');
+    return 1;
+  }
+  log.info(`✅ ${report.images} image(s) within the ${(report.budget / 1024).toFixed(0)} KB budget`);
+  return 0;
+}
+
+async function imagesOptimize(client) {
+  await client.optimizeImages();
+  return 0;
+}
+
+async function assetsCheck(client) {
+  const report = await client.checkAssets();
+  const { missing, unreferenced, empty, dynamic, prunable } = report;
+  log.event('assets.check', report);
+
+  missing.forEach(({ asset, file, line, col }) => log.output(`❌ Missing ${asset} (referenced in ${file}:${line}:${col})`));
+  unreferenced.forEach(({ file, size }) => log.output(`⚠️ Unreferenced: ${file} (${(size / 1024).toFixed(1)} KB)`));
+  empty.forEach(file => log.output(`⚠️ Empty: ${file}`));
+  dynamic.forEach(({ file, line }) => log.info(`ℹ️ ${file}:${line} builds an asset name at render time; the audit cannot follow it`));
+
+  const size = unreferenced.reduce((sum, asset) => sum + asset.size, 0);
+  const summary = `${report.assets} assets: ${report.referenced} referenced, ${missing.length} missing, ${unreferenced.length} unreferenced (${(size / 1024).toFixed(1)} KB)`;
+  if (unreferenced.length && !prunable) log.info('💡 --prune-assets keeps every asset while a template builds an asset name from a variable alone');
+  else if (unreferenced.length && !client.config.pruneAssets) log.info('💡 Upload with --prune-assets to leave unreferenced assets out of the zip');
+  if (missing.length) {
+    log.error(`\n❌ ${summary}`);
+    return 1;
+  }
+  log.info(`\n✅ ${summary}`);
+  return 0;
+}
+
+async function schemaCheck(client) {
+  const { modules, errors, warnings } = await client.checkSchemas();
+  log.event('schema.check', { ok: !errors.length, modules, errors, warnings });
+
+  warnings.forEach(w => log.warn('⚠️', formatProblem(w)));
+  errors.forEach(e => log.error('❌', formatProblem(e)));
+
+  if (errors.length) {
+    log.error(`\n❌ ${errors.length} error(s), ${warnings.length} warning(s) in ${modules} module schemas`);
+    return 1;
+  }
+  log.info(`\n✅ ${modules} module schemas are valid (${warnings.length} warning(s))`);
+  return 0;
+}
+
+async function schemaDocs(client, values) {
+  const outDir = path.resolve(process.cwd(), values.out || 'docs/modules');
+  const files = await client.writeSchemaDocs({ outDir });
+  log.event('schema.docs', { outDir, files });
+  log.info(`📝 Wrote ${files.length} module reference(s) to`, outDir);
+  return 0;
+}
+
+async function generateModuleCommand(client, values, flags, args) {
+  if (!args[0]) throw new Error('Usage: zid-theme generate module <name> [--layout grid|carousel]');
+  await client.generateModule(args[0], {
+    layout: values.layout,
+    labels: { en: values['label-en'], ar: values['label-ar'] }
+  });
+  log.info('💡 Add the module to the home page from the theme settings in the Zid dashboard');
+  return 0;
+}
+
+async function checkStatus(config) {
+  const saved = loadCookiesFromFile(config.cookiesFile);
+  if (!saved) return { session: 'none', note: 'none saved, run `zid-theme login`' };
+  try {
+    const account = await checkSession(config, extractTokensFromCookies(saved));
+    if (!account) return { session: 'expired', note: 'expired, run `zid-theme login`' };
+    const expiresAt = sessionExpiresAt(saved);
+    return {
+      session: 'valid',
+      account: account.email,
+      expiresAt,
+      note: ['valid', account.email && `(${account.email})`, expiresAt && `until ${new Date(expiresAt * 1000).toLocaleString()}`]
+        .filter(Boolean).join(' ')
+    };
+  } catch (err) {
+    return { session: 'unknown', note: `could not be checked: ${err.message}` };
+  }
+}
+
+async function status({ config }) {
+  const { note, ...session } = await checkStatus(config);
+  log.event('status', {
+    profile: config.profile,
+    environment: config.environment,
+    baseUrl: config.baseUrl,
+    email: config.email,
+    themeId: config.themeId,
+    themeName: config.themeName,
+    folder: config.folderPath,
+    folderExists: fs.existsSync(config.folderPath),
+    ...session
+  });
+
+  if (config.profile) log.output('🏷️ Profile:', config.profile);
+  log.output('🌐 Dashboard:', config.baseUrl);
+  log.output('👤 Account:', config.email || 'not set');
+  log.output('🎨 Theme:', config.themeName || 'not set', `(ID: ${config.themeId || 'not set'})`);
+  log.output('📁 Folder:', config.folderPath + (fs.existsSync(config.folderPath) ? '' : ' (missing)'));
+  log.output('🍪 Session:', note);
+  return session.session === 'valid' ? 0 : 1;
+}
+
+async function preview({ config }, values) {
+  const { url } = await startPreviewServer({
+    folder: config.folderPath,
+    fixturesDir: path.resolve(process.cwd(), values.fixtures || 'fixtures'),
+    sourceAssets: config.assetsPath,
+    port: Number(values.port || process.env.PREVIEW_PORT || 4000),
+    lang: values.lang
+  });
+  log.info('👀 Previewing', config.folderPath);
+  log.info(`🌐 Open ${url} (add ?lang=en or ?lang=ar to switch language)`);
+  return new Promise(() => {});
+}
+
+async function mockServer({ config }, values) {
+  const mock = createMockZidServer({
+    sessionTtl: Number(values['session-ttl'] || 3600),
+    credentials: { email: config.email, password: config.password },
+    otp: values['mock-otp'],
+    themes: [{ id: config.themeId || 'mock-theme', name: config.themeName || 'Mock Theme' }]
+  });
+  // Until something is uploaded the mock serves the local folder as the live theme.
+  if (fs.existsSync(config.folderPath)) {
+    mock.state.packages.set(mock.state.themes[0].id, createZipBuffer(collectThemeFiles(config.folderPath)));
+  }
+  for (const spec of values.fail || []) {
+    const [mode, times] = spec.split(':');
+    mock.state.fail(mode, Number(times || 1));
+  }
+
+  const url = await mock.listen(Number(values.port || process.env.MOCK_ZID_PORT || 4100));
+  log.info('🧪 Mock Zid API listening on', url);
+  log.info(`💡 Point the uploader at it with ZID_BASE=${url} or --base-url ${url}`);
+  if (values['write-cookies']) {
+    await saveCookiesToFile(config.cookiesFile, mock.state.createSession());
+    log.info('🍪 Wrote a mock session to', config.cookiesFile);
+  }
+  if (mock.state.failures.length) {
+    log.info('⚠️ Queued failures:', mock.state.failures.join(', '));
+  }
+  return new Promise(() => {});
+}
+
+const COMMANDS = {
+  login,
+  logout,
+  'themes list': themesList,
+  build,
+  'rtl check': rtlCheck,
+  upload,
+  watch,
+  history,
+  rollback,
+  pull,
+  validate,
+  'i18n check': i18nCheck,
+  'images check': imagesCheck,
+  'images optimize': imagesOptimize,
+  'assets check': assetsCheck,
+  'schema check': schemaCheck,
+  'schema docs': schemaDocs,
+  'generate module': generateModuleCommand,
+  status,
+  preview,
+  'mock-server': mockServer
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const name = [positionals.slice(0, 2).join(' '), positionals[0]].find(key => COMMANDS[key]);
+
+  if (values.quiet && values.verbose) {
+    throw new Error('--quiet and --verbose cannot be combined');
+  }
+  configureLogger({ level: values.quiet ? 'quiet' : values.verbose ? 'verbose' : 'normal', json: values.json });
+
+  if (values.help || !positionals.length) {
+    console.log(HELP);
+    return 0;
+  }
+  if (!name) {
+    log.error(`❌ Unknown command "${positionals.join(' ')}"\n`);
+    log.output(HELP);
+    return 1;
+  }
+
+  const flags = Object.fromEntries(
+    [...Object.keys(CONFIG_FLAGS), 'profile', 'browser-login', 'force', 'steal-lock', 'prune-assets', 'optimize-images', 'ignore']
+      .filter(flag => values[flag] !== undefined)
+      .map(flag => [flag, values[flag]])
+  );
+  if (values['no-cache-bust']) flags['cache-bust'] = false;
+  if (values['all-profiles'] && name !== 'upload') {
+    log.error('❌ --all-profiles is only supported by `upload`');
+    return 1;
+  }
+  const args = positionals.slice(name.split(' ').length);
+  return (await COMMANDS[name](clientForConfig(loadConfig(flags)), values, flags, args)) ?? 0;
+}
+
+// Ctrl+C and kill go through process.exit so held upload locks are released.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => exit(128 + (signal === 'SIGINT' ? 2 : 15)));
+}
+
+// Waits for stdout to drain so piped --json output is not cut short.
+function exit(code) {
+  process.stdout.write('', () => process.exit(code));
+}
+
+main(process.argv.slice(2)).then(exit).catch(err => {
+  log.error('❌', err.message);
+  log.event('error', { kind: errorKind(err), exitCode: exitCodeFor(err), message: err.message });
+  exit(exitCodeFor(err));
+});
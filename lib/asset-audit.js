@@ -0,0 +1,101 @@
+import path from 'path';
+import { collectThemeFiles } from './packager.js';
+import { listSourceStyles, readSourceStyle, rewriteDevLinks } from './build.js';
+import { lineAt } from './twig-syntax.js';
+
+// `asset_url ~ 'x'`, `{{ asset_url }}x` and `assetUrl('x')`. A trailing `~`
+// or `{{` means the name is only the start of one built at render time.
+export const TWIG_REFERENCE = /\basset_url\s*~\s*(['"])([^'"]*)\1(\s*~)?|\{\{-?\s*asset_url\s*-?\}\}([^\s"'<>(){}]*)(\{\{)?|\bassetUrl\(\s*(['"])([^'"]*)\6(\s*~)?/g;
+const CSS_REFERENCE = /\burl\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/g;
+// Any quoted file name, so assets picked in script (`img_name = 'x.png'`)
+// count as used even though the audit cannot follow the variable.
+const QUOTED_NAME = /(['"])([^'"\s]+\.[A-Za-z0-9]{2,5})(?:[?#][^'"\s]*)?\1/g;
+
+const stripQuery = name => name.replace(/[?#].*$/, '');
+const isExternal = ref => /^(?:[a-z]+:|\/\/|#|\{\{)/i.test(ref.trim());
+
+function resolveCssReference(file, ref) {
+  const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(file), stripQuery(ref.trim())));
+  return resolved.startsWith('../') ? null : resolved;
+}
+
+// The files a package would hold once built: the theme folder plus the
+// stylesheets `build` publishes from the root assets folder.
+function loadThemeFiles(config) {
+  const files = new Map(collectThemeFiles(config.folderPath).map(file => [file.path, file.data]));
+  for (const name of listSourceStyles(config)) {
+    files.set(`assets/${name}`, Buffer.from(readSourceStyle(config.assetsPath, name)));
+  }
+  return files;
+}
+
+// Follows references from every template into the stylesheets and scripts
+// they load, and from those into fonts and images. `missing` lists explicit
+// references to files that do not exist; `unreferenced` the assets nothing
+// reachable mentions; `dynamic` the names assembled at render time that
+// could not be followed. When one of those starts with nothing static it
+// could name any asset, so `prunable` is false.
+export function auditAssets(config) {
+  const files = loadThemeFiles(config);
+  const assets = [...files.keys()].filter(file => file.startsWith('assets/')).sort();
+  const referenced = new Set();
+  const missing = [];
+  const dynamic = [];
+  const queue = [...files.keys()].filter(file => file.endsWith('.twig')).sort();
+  const scanned = new Set(queue);
+
+  const use = (target, from, source, index) => {
+    if (!files.has(target)) {
+      const seen = missing.some(entry => entry.asset === target && entry.file === from);
+      if (from && !seen) missing.push({ asset: target, file: from, ...lineAt(source, index) });
+      return;
+    }
+    referenced.add(target);
+    if (/\.(css|js)$/.test(target) && !scanned.has(target)) {
+      scanned.add(target);
+      queue.push(target);
+    }
+  };
+  const useName = (name, from, source, index) => use(`assets/${stripQuery(name).replace(/^\.?\//, '')}`, from, source, index);
+
+  while (queue.length) {
+    const file = queue.shift();
+    const source = file.endsWith('.twig') ? rewriteDevLinks(files.get(file).toString('utf-8')) : files.get(file).toString('utf-8');
+
+    if (file.endsWith('.css')) {
+      for (const match of source.matchAll(CSS_REFERENCE)) {
+        const ref = match[2] ?? match[4];
+        if (isExternal(ref)) continue;
+        const target = resolveCssReference(file, ref);
+        if (target) use(target, file, source, match.index);
+      }
+      continue;
+    }
+
+    if (file.endsWith('.twig')) {
+      for (const match of source.matchAll(TWIG_REFERENCE)) {
+        const name = match[2] ?? match[4] ?? match[7];
+        const partial = match[3] || match[5] || match[8] || !name;
+        if (!partial) {
+          useName(name, file, source, match.index);
+          continue;
+        }
+        const prefix = `assets/${name}`;
+        const matched = name ? assets.filter(asset => asset.startsWith(prefix)) : [];
+        matched.forEach(asset => use(asset));
+        if (!matched.length) dynamic.push({ prefix: name, file, ...lineAt(source, match.index) });
+      }
+    }
+    for (const match of source.matchAll(QUOTED_NAME)) {
+      const name = path.posix.basename(match[2]);
+      if (files.has(`assets/${name}`)) use(`assets/${name}`);
+    }
+  }
+
+  const unreferenced = assets
+    .filter(asset => !referenced.has(asset))
+    .map(asset => ({ file: asset, size: files.get(asset).length }));
+  const empty = assets.filter(asset => !files.get(asset).length);
+  const prunable = !dynamic.some(ref => !ref.prefix);
+  return { assets: assets.length, referenced: referenced.size, missing, unreferenced, empty, dynamic, prunable };
+}
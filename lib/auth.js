@@ -0,0 +1,335 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import axios from 'axios';
+import { CookieJar } from 'tough-cookie';
+import { AuthError, classifyError } from './errors.js';
+import { apiUrl, requestOptions } from './http.js';
+import { encryptSession, decryptSession, wipeFile } from './session-store.js';
+import { log } from './log.js';
+
+// Relative to the environment's API prefix.
+export const LOGIN_API_PATH = '/login';
+export const OTP_API_PATH = '/login/otp';
+export const LOGOUT_API_PATH = '/logout';
+
+// A session this close to expiring is renewed before it is used, so an
+// upload with retries does not run out of session halfway.
+export const REFRESH_MARGIN_SECONDS = 10 * 60;
+
+export function serializeCookies(cookies) {
+  return cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
+}
+
+// `mode` only applies when the file is created, so a session file left
+// readable by an older version is narrowed down explicitly.
+function writeSessionFile(cookiesFile, envelope) {
+  fs.mkdirSync(path.dirname(cookiesFile), { recursive: true });
+  fs.writeFileSync(cookiesFile, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+  fs.chmodSync(cookiesFile, 0o600);
+}
+
+export async function saveCookiesToFile(cookiesFile, cookies) {
+  writeSessionFile(cookiesFile, encryptSession(cookies));
+}
+
+// Returns null when there is no usable session. Plaintext files from older
+// versions are read once and encrypted in place.
+export function loadCookiesFromFile(cookiesFile) {
+  if (!fs.existsSync(cookiesFile)) return null;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(cookiesFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  if (Array.isArray(data)) {
+    try {
+      writeSessionFile(cookiesFile, encryptSession(data));
+      log.info('🔒 Encrypted the plaintext session in', cookiesFile);
+    } catch (err) {
+      log.warn('⚠️ Session file is not encrypted:', err.message);
+    }
+    return data;
+  }
+  try {
+    const cookies = decryptSession(data);
+    return Array.isArray(cookies) ? cookies : null;
+  } catch (err) {
+    log.warn('⚠️', err.message);
+    return null;
+  }
+}
+
+export function removeCookiesFile(cookiesFile) {
+  return wipeFile(cookiesFile);
+}
+
+// Seconds since the epoch at which the session ends, taken from the
+// XSRF-TOKEN cookie that Laravel issues alongside the session cookie.
+export function sessionExpiresAt(cookies) {
+  const xsrf = cookies.find(c => c.name === 'XSRF-TOKEN');
+  return xsrf?.expires > 0 ? xsrf.expires : null;
+}
+
+export function extractTokensFromCookies(cookies) {
+  const xsrf = cookies.find(c => c.name === 'XSRF-TOKEN');
+  if (!xsrf) throw new Error('XSRF-TOKEN not found in cookies');
+  return {
+    cookie: serializeCookies(cookies),
+    xsrfToken: decodeURIComponent(xsrf.value)
+  };
+}
+
+export function authHeaders(auth) {
+  return {
+    'X-Xsrf-Token': auth.xsrfToken,
+    'Cookie': auth.cookie
+  };
+}
+
+// The saved cookies, in the same shape Puppeteer's page.cookies() uses, are
+// loaded back into a jar so long-lived ones (such as a trusted-device cookie
+// that skips the OTP step) survive between logins.
+export function cookiesToJar(cookies, baseUrl) {
+  const jar = new CookieJar();
+  for (const c of cookies || []) {
+    const expires = c.expires > 0 ? `; Expires=${new Date(c.expires * 1000).toUTCString()}` : '';
+    const flags = `${c.secure ? '; Secure' : ''}${c.httpOnly ? '; HttpOnly' : ''}`;
+    jar.setCookieSync(`${c.name}=${c.value}; Path=${c.path || '/'}${expires}${flags}`, baseUrl, { ignoreError: true });
+  }
+  return jar;
+}
+
+export function jarToCookies(jar, baseUrl) {
+  return jar.getCookiesSync(baseUrl).map(c => {
+    const expiry = c.expiryTime();
+    return {
+      name: c.key,
+      value: c.value,
+      domain: c.domain,
+      path: c.path,
+      expires: Number.isFinite(expiry) ? Math.floor(expiry / 1000) : -1,
+      httpOnly: c.httpOnly,
+      secure: c.secure
+    };
+  });
+}
+
+function xsrfFromJar(jar, baseUrl) {
+  const xsrf = jar.getCookiesSync(baseUrl).find(c => c.key === 'XSRF-TOKEN');
+  return xsrf ? decodeURIComponent(xsrf.value) : null;
+}
+
+async function promptForOtp(config) {
+  if (config.otp) return config.otp;
+  if (!process.stdin.isTTY) {
+    throw new AuthError('A one-time code is required; set ZID_OTP or pass --otp when no terminal is attached');
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return (await rl.question(`🔢 Enter the code sent to ${config.email}: `)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+function loginFailure(res, fallback) {
+  return new AuthError(res.data?.message || `${fallback} (HTTP ${res.status})`, { status: res.status, data: res.data });
+}
+
+export async function performHttpLogin(config) {
+  log.info('🔐 Logging in over HTTP…');
+  const jar = cookiesToJar(loadCookiesFromFile(config.cookiesFile), config.baseUrl);
+  const loginPage = `${config.baseUrl}${config.loginPath}`;
+  const client = axios.create({
+    ...requestOptions(config, jar),
+    headers: { Accept: 'application/json' },
+    validateStatus: s => s < 500
+  });
+  const post = (route, data) => client.post(apiUrl(config, route), data, {
+    headers: { 'X-Xsrf-Token': xsrfFromJar(jar, config.baseUrl), 'Referer': loginPage }
+  });
+
+  await client.get(loginPage, { headers: { Accept: 'text/html' } });
+  if (!xsrfFromJar(jar, config.baseUrl)) {
+    throw new AuthError(`No XSRF-TOKEN cookie was set by ${loginPage}`);
+  }
+
+  let res = await post(LOGIN_API_PATH, { email: config.email, password: config.password });
+  if (res.status !== 200) throw loginFailure(res, 'Login rejected');
+
+  if (res.data?.otp_required || res.data?.data?.otp_required) {
+    const otp = await promptForOtp(config);
+    res = await post(OTP_API_PATH, { email: config.email, otp });
+    if (res.status !== 200) throw loginFailure(res, 'One-time code rejected');
+  }
+
+  const cookies = jarToCookies(jar, config.baseUrl);
+  const auth = extractTokensFromCookies(cookies);
+  if (!(await checkSession(config, auth))) {
+    throw new AuthError('Login succeeded but the dashboard did not accept the session');
+  }
+  await saveCookiesToFile(config.cookiesFile, cookies);
+  log.info('✅ Logged in and cookies saved.');
+  return auth;
+}
+
+export async function performLoginWithPuppeteer(config) {
+  log.info('🔐 Opening browser… please log in manually, we’ll assist where possible');
+
+  const { default: puppeteer } = await import('puppeteer');
+  const proxy = config.proxy && new URL(config.proxy);
+  // Chrome trusts the OS certificate store, so a custom CA has to be
+  // installed there; --ca-file only covers the HTTP requests.
+  const browser = await puppeteer.launch({
+    headless: false,
+    args: proxy ? [`--proxy-server=${proxy.protocol}//${proxy.host}`] : []
+  });
+  const page = await browser.newPage();
+  if (proxy?.username) {
+    await page.authenticate({ username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) });
+  }
+
+  await page.goto(`${config.baseUrl}${config.loginPath}`, { waitUntil: 'networkidle2' });
+
+  log.debug('👁️ Monitoring page to auto-fill email/password when fields appear…');
+
+  let emailSubmitted = false;
+  let passwordSubmitted = false;
+
+  const interval = setInterval(async () => {
+    if (page.isClosed()) return clearInterval(interval);
+
+    const url = page.url();
+
+    try {
+      if (!emailSubmitted) {
+        const emailInput = await page.$('input[name="email"]');
+        if (emailInput) {
+          const value = await page.evaluate(el => el.value, emailInput);
+          if (!value) {
+            await emailInput.type(config.email);
+            log.debug('📧 Email filled');
+            setTimeout(async () => {
+              const submitBtn = await page.$('button.zid-form__submit[type="button"]');
+              if (submitBtn) {
+                await submitBtn.click();
+                log.debug('🖱️ Email submit clicked');
+                emailSubmitted = true;
+              }
+            }, 1000);
+          }
+        }
+      }
+
+      if (url.includes('/otp')) {
+        const passwordLink = await page.$('a[href="/login/password"]');
+        if (passwordLink) {
+          await passwordLink.click();
+          log.debug('🔁 Switched to password login');
+        }
+      }
+
+      if (url.includes('/login/password') && !passwordSubmitted) {
+        const passwordInput = await page.$('input[name="password"]');
+        if (passwordInput) {
+          const value = await page.evaluate(el => el.value, passwordInput);
+          if (!value) {
+            await passwordInput.type(config.password);
+            log.debug('🔒 Password filled');
+            setTimeout(async () => {
+              const loginBtn = await page.$('button.zid-form__submit[type="button"]');
+              if (loginBtn) {
+                await loginBtn.click();
+                log.debug('🖱️ Login clicked');
+                passwordSubmitted = true;
+              }
+            }, 1000);
+          }
+        }
+      }
+    } catch {}
+  }, 1000);
+
+  await page.waitForFunction(pattern => new RegExp(pattern).test(location.href), { timeout: 300000 }, config.postLoginPattern);
+  clearInterval(interval);
+
+  const cookies = await page.cookies();
+  const auth = extractTokensFromCookies(cookies);
+  await saveCookiesToFile(config.cookiesFile, cookies);
+
+  await browser.close();
+  log.info('✅ Logged in and cookies saved.');
+  return auth;
+}
+
+export async function checkSession(config, auth) {
+  const check = await axios.get(apiUrl(config, '/account'), {
+    ...requestOptions(config),
+    headers: authHeaders(auth),
+    validateStatus: s => s < 500
+  });
+  return check.status === 200 ? check.data?.data || {} : null;
+}
+
+// Asks the dashboard to end the session, then wipes the local copy. The
+// file is removed even when the dashboard cannot be reached.
+export async function revokeSession(config) {
+  const saved = loadCookiesFromFile(config.cookiesFile);
+  let revoked = false;
+  if (saved) {
+    try {
+      const res = await axios.post(apiUrl(config, LOGOUT_API_PATH), null, {
+        ...requestOptions(config),
+        headers: authHeaders(extractTokensFromCookies(saved)),
+        validateStatus: s => s < 500
+      });
+      revoked = res.status < 300;
+    } catch (err) {
+      log.warn('⚠️ Could not revoke the session on the dashboard:', err.message);
+    }
+  }
+  return { revoked, removed: removeCookiesFile(config.cookiesFile) };
+}
+
+export async function ensureAuth(config, forceLogin = false) {
+  if (!forceLogin) {
+    const saved = loadCookiesFromFile(config.cookiesFile);
+    const expiresAt = saved && sessionExpiresAt(saved);
+    const remaining = expiresAt && expiresAt - Date.now() / 1000;
+    if (remaining && remaining < REFRESH_MARGIN_SECONDS) {
+      log.info(remaining > 0
+        ? `⏳ Session expires in ${Math.ceil(remaining / 60)} min, logging in again`
+        : '⏳ Session expired, logging in again');
+    } else if (saved) {
+      try {
+        const auth = extractTokensFromCookies(saved);
+        if (await checkSession(config, auth)) {
+          log.info('✅ Reused saved cookies');
+          log.event('auth', { method: 'saved', profile: config.profile, expiresAt });
+          return auth;
+        } else {
+          log.warn('⚠️ Invalid cookies, logging in again');
+        }
+      } catch (err) {
+        // An unreachable or failing dashboard is not a reason to open a login window.
+        if (err.isAxiosError && (!err.response || err.response.status >= 500)) throw classifyError(err);
+        log.warn('⚠️ Error with saved cookies, logging in again');
+      }
+    }
+  }
+  const method = config.browserLogin ? 'browser' : 'http';
+  try {
+    const auth = config.browserLogin
+      ? await performLoginWithPuppeteer(config)
+      : await performHttpLogin(config);
+    log.event('auth', { method, profile: config.profile });
+    return auth;
+  } catch (err) {
+    if (err instanceof AuthError) throw err;
+    if (err.isAxiosError) throw classifyError(err);
+    throw new AuthError(`Login failed: ${err.message}`, { cause: err });
+  }
+}
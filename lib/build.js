@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import { flipCss } from './rtl.js';
+import { diffLines } from './text-diff.js';
+import { collectThemeFiles } from './packager.js';
+import { log } from './log.js';
+
+// Links to VS Code's Live Server, which layout.twig uses while the root
+// stylesheets are being edited.
+const DEV_LINK = /(["'])http:\/\/(?:127\.0\.0\.1|localhost):5500\/assets\/([^"'?#]+)\1/g;
+// What rewriteDevLinks() turns them into.
+const BUILT_LINK = /(["'])\{\{ asset_url ~ '([^"'?#]+)' \}\}\1/g;
+
+// Whitespace and comments go; strings, `/*! ... */` notices and the spaces
+// that carry meaning (descendant selectors, calc() operands) stay.
+export function minifyCss(source) {
+  let out = '';
+  let i = 0;
+  let space = false;
+  let depth = 0;
+
+  // Inside parentheses only the spaces next to the brackets and commas go:
+  // calc() needs the ones around its operators.
+  const flushSpace = next => {
+    const prev = out[out.length - 1];
+    const keep = depth
+      ? !'(,'.includes(prev) && !'),'.includes(next)
+      : !'{};,>~+:('.includes(prev) && !'{};,>~+!)'.includes(next);
+    if (space && prev && keep) out += ' ';
+    space = false;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      if (source[i + 2] === '!') {
+        flushSpace('/');
+        out += source.slice(i, stop);
+      } else {
+        space = true;
+      }
+      i = stop;
+    } else if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) j += source[j] === '\\' ? 2 : 1;
+      flushSpace(ch);
+      out += source.slice(i, j + 1);
+      i = j + 1;
+    } else if (/\s/.test(ch)) {
+      space = true;
+      i++;
+    } else {
+      if (ch === ')') depth = Math.max(0, depth - 1);
+      flushSpace(ch);
+      if (ch === '(') depth++;
+      if (ch === '}' && out.endsWith(';')) out = out.slice(0, -1);
+      out += ch;
+      i++;
+    }
+  }
+  return out.trim();
+}
+
+// Points Live Server links at the theme's own copies.
+export function rewriteDevLinks(source, url = file => `{{ asset_url ~ '${file}' }}`) {
+  return source.replace(DEV_LINK, (_, quote, file) => `${quote}${url(file)}${quote}`);
+}
+
+// Undoes rewriteDevLinks() on a packaged template: asset_url links to files
+// `original` loads from Live Server get that link back; the rest stay.
+export function restoreDevLinks(source, original) {
+  const links = new Map([...original.matchAll(DEV_LINK)].map(([link, , file]) => [file, link.slice(1, -1)]));
+  if (!links.size) return source;
+  return source.replace(BUILT_LINK, (match, quote, file) => (links.has(file) ? `${quote}${links.get(file)}${quote}` : match));
+}
+
+export function hasDevLinks(source) {
+  return new RegExp(DEV_LINK.source).test(source);
+}
+
+const rtlTwin = file => file.replace(/\.ltr\.css$/, '.rtl.css');
+
+// The stylesheets a build publishes: every source file, plus an RTL twin
+// generated for each .ltr.css that has no hand-written one.
+export function listSourceStyles(config) {
+  if (!config.assetsPath || !fs.existsSync(config.assetsPath)) return [];
+  const files = fs.readdirSync(config.assetsPath).filter(file => file.endsWith('.css'));
+  const generated = files.filter(file => file.endsWith('.ltr.css') && !files.includes(rtlTwin(file))).map(rtlTwin);
+  return [...files, ...generated].sort();
+}
+
+// Resolves to null when the folder has neither the file nor an LTR source
+// to generate it from.
+export function readSourceStyle(assetsPath, file) {
+  const own = path.join(assetsPath, file);
+  if (fs.existsSync(own)) return fs.readFileSync(own, 'utf-8');
+  const ltr = path.join(assetsPath, file.replace(/\.rtl\.css$/, '.ltr.css'));
+  if (file.endsWith('.rtl.css') && fs.existsSync(ltr)) return flipCss(fs.readFileSync(ltr, 'utf-8'));
+  return null;
+}
+
+// One rule or declaration per line, so formatting and comments do not count
+// as differences.
+export function normalizeCss(source) {
+  return minifyCss(source).replace(/([{};])/g, '$1\n').split('\n').filter(Boolean);
+}
+
+// Compares each hand-written .rtl.css with the one the build would generate
+// from its .ltr.css. `changes` counts the lines that differ after
+// normalizing both.
+export function checkRtlStyles(config) {
+  if (!config.assetsPath || !fs.existsSync(config.assetsPath)) return [];
+  const files = fs.readdirSync(config.assetsPath);
+  return files
+    .filter(file => file.endsWith('.ltr.css') && files.includes(rtlTwin(file)))
+    .sort()
+    .map(ltr => {
+      const handWritten = normalizeCss(fs.readFileSync(path.join(config.assetsPath, rtlTwin(ltr)), 'utf-8'));
+      const generated = normalizeCss(flipCss(fs.readFileSync(path.join(config.assetsPath, ltr), 'utf-8')));
+      const changes = diffLines(handWritten, generated).filter(([type]) => type !== ' ').length;
+      return { file: rtlTwin(ltr), source: ltr, changes, handWritten, generated };
+    });
+}
+
+const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+// Adds the root assets/*.css to the packager's `{ path, data }` list,
+// minified, and points the Live Server links in the packaged templates at
+// them. RTL stylesheets without a hand-written file are generated from their
+// .ltr.css. Nothing on disk changes; `result` says what was built.
+export function buildFiles(config, files) {
+  const styles = listSourceStyles(config);
+  const result = { styles: [], generated: [], templates: [], sourceBytes: 0, builtBytes: 0 };
+  if (!styles.length) return { files, result };
+
+  const built = new Map();
+  for (const file of styles) {
+    if (!fs.existsSync(path.join(config.assetsPath, file))) result.generated.push(file);
+    const source = readSourceStyle(config.assetsPath, file);
+    const minified = minifyCss(source);
+    result.sourceBytes += Buffer.byteLength(source);
+    result.builtBytes += Buffer.byteLength(minified);
+    result.styles.push(file);
+    built.set(`assets/${file}`, Buffer.from(minified));
+  }
+
+  const out = files.filter(file => !built.has(file.path)).map(file => {
+    if (!file.path.endsWith('.twig')) return file;
+    const source = file.data.toString('utf-8');
+    if (!hasDevLinks(source)) return file;
+    result.templates.push(file.path);
+    return { ...file, data: Buffer.from(rewriteDevLinks(source)) };
+  });
+  for (const [file, data] of built) out.push({ path: file, data });
+  return { files: out.sort(byPath), result };
+}
+
+function reportBuild(result) {
+  const saved = result.sourceBytes ? (100 * (1 - result.builtBytes / result.sourceBytes)).toFixed(0) : 0;
+  log.info(`✅ ${result.styles.length} stylesheet(s) built, ${(result.builtBytes / 1024).toFixed(1)} KB after minifying (-${saved}%)`);
+  if (result.generated.length) log.info(`🔁 Generated ${result.generated.join(', ')} from the LTR source`);
+  result.templates.forEach(file => log.info(`🔗 Pointed the Live Server links in ${file} at asset_url`));
+  log.event('build', { ...result });
+}
+
+// The packager `rewrite` step: buildFiles() with progress logged. Runs on
+// every package, so the zip always carries the current root stylesheets.
+export function buildTheme(config, files) {
+  const styles = listSourceStyles(config);
+  if (!styles.length) return files;
+  log.info(`🛠️ Building ${styles.length} stylesheet(s) from`, config.assetsPath);
+  const built = buildFiles(config, files);
+  reportBuild(built.result);
+  return built.files;
+}
+
+// What `zid-theme build` runs: the files the build adds to the package or
+// changes in it are written under .zid/build, laid out as in the zip, so
+// they can be inspected without touching the theme folder.
+export function writeBuild(config) {
+  const outDir = path.join(config.stateDir, 'build');
+  const files = collectThemeFiles(config.folderPath);
+  const original = new Map(files.map(file => [file.path, file.data]));
+  fs.rmSync(outDir, { recursive: true, force: true });
+  const built = buildFiles(config, files);
+  if (!built.result.styles.length) {
+    log.info('ℹ️ No stylesheets to build in', config.assetsPath);
+    return { ...built.result, outDir };
+  }
+
+  log.info(`🛠️ Building ${built.result.styles.length} stylesheet(s) from`, config.assetsPath);
+  for (const file of built.files) {
+    if (original.get(file.path)?.equals(file.data)) continue;
+    const target = path.join(outDir, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.data);
+  }
+  reportBuild(built.result);
+  log.info('📂 Built files written to', outDir);
+  return { ...built.result, outDir };
+}
@@ -0,0 +1,229 @@
+import { EventEmitter } from 'events';
+import { loadConfig, requireConfig } from './config.js';
+import { ensureAuth, checkSession, revokeSession } from './auth.js';
+import { listThemes, uploadTheme, rollbackTheme, packageOptions } from './themes.js';
+import { packageTheme } from './packager.js';
+import { writeBuild, checkRtlStyles } from './build.js';
+import { checkLocales, fixLocales } from './i18n.js';
+import { generateModule } from './generate.js';
+import { checkModuleSchemas, writeModuleDocs } from './schema-check.js';
+import { auditAssets } from './asset-audit.js';
+import { checkImages, optimizeImages } from './images.js';
+import { validateTheme } from './validator.js';
+import { listHistory } from './history.js';
+import { pullTheme } from './pull.js';
+import { watchTheme } from './watch.js';
+import { addLogListener, configureLogger } from './log.js';
+import { acquireLock, withLock } from './lock.js';
+
+// createZidThemeClient() options and the CLI flags they stand for.
+const OPTION_FLAGS = {
+  profile: 'profile',
+  environment: 'env',
+  baseUrl: 'base-url',
+  email: 'email',
+  password: 'password',
+  otp: 'otp',
+  themeId: 'theme-id',
+  themeName: 'theme-name',
+  themeCode: 'theme-code',
+  folder: 'folder',
+  assets: 'assets',
+  session: 'cookies',
+  maxAttempts: 'max-attempts',
+  proxy: 'proxy',
+  caFile: 'ca-file',
+  browserLogin: 'browser-login',
+  force: 'force',
+  lockDir: 'lock-dir',
+  stealLock: 'steal-lock',
+  pruneAssets: 'prune-assets',
+  optimizeImages: 'optimize-images',
+  imageBudget: 'image-budget',
+  cacheBust: 'cache-bust',
+  watchDebounceMs: 'debounce',
+  watchIgnore: 'ignore'
+};
+
+// Wraps a resolved config (see loadConfig) in the client API. The CLI uses
+// this directly; scripts go through createZidThemeClient().
+export function clientForConfig(config) {
+  const client = new EventEmitter();
+
+  // Progress reaches the client's listeners as the same events --json
+  // prints. Records are process-wide, so clients running operations at the
+  // same time see each other's events.
+  const forward = () => addLogListener(record => {
+    if (record.event !== 'error') client.emit(record.event, record);
+  });
+  const run = async fn => {
+    const stop = forward();
+    try {
+      return await fn();
+    } finally {
+      stop();
+    }
+  };
+
+  return Object.assign(client, {
+    config,
+
+    login({ force = true } = {}) {
+      return run(async () => {
+        requireConfig(config, ['email', 'password']);
+        const auth = await ensureAuth(config, force);
+        return { account: await checkSession(config, auth) };
+      });
+    },
+
+    logout() {
+      return run(() => revokeSession(config));
+    },
+
+    listThemes() {
+      return run(() => {
+        requireConfig(config, ['email', 'password']);
+        return listThemes(config);
+      });
+    },
+
+    validate() {
+      return run(async () => validateTheme(config.folderPath));
+    },
+
+    build() {
+      return run(async () => writeBuild(config));
+    },
+
+    checkRtl() {
+      return run(async () => checkRtlStyles(config));
+    },
+
+    // With `fix`, missing keys are written to the locale files and the
+    // result reflects the files after the fix.
+    checkLocales({ fix = false } = {}) {
+      return run(async () => {
+        const report = checkLocales(config.folderPath);
+        const added = fix ? fixLocales(report) : {};
+        const { references, missing, unused, identical, duplicates } = fix ? checkLocales(config.folderPath) : report;
+        return { referenced: references.size, missing, unused, identical, duplicates, added };
+      });
+    },
+
+    checkSchemas() {
+      return run(async () => {
+        const modules = checkModuleSchemas(config.folderPath);
+        return {
+          modules: modules.length,
+          errors: modules.flatMap(module => module.errors),
+          warnings: modules.flatMap(module => module.warnings)
+        };
+      });
+    },
+
+    checkImages() {
+      return run(async () => checkImages(config));
+    },
+
+    optimizeImages() {
+      return run(async () => optimizeImages(config));
+    },
+
+    checkAssets() {
+      return run(async () => auditAssets(config));
+    },
+
+    // Resolves to the Markdown files written, one per module.
+    writeSchemaDocs({ outDir = 'docs/modules' } = {}) {
+      return run(async () => writeModuleDocs(config.folderPath, outDir));
+    },
+
+    generateModule(name, { layout = 'grid', labels = {}, force = config.force } = {}) {
+      return run(async () => generateModule(config, name, { layout, labels, force }));
+    },
+
+    packageTheme({ zipPath = config.zipPath } = {}) {
+      return run(async () => {
+        if (config.optimizeImages) await optimizeImages(config);
+        return packageTheme({ ...packageOptions(config), zipPath });
+      });
+    },
+
+    uploadTheme({ force = config.force } = {}) {
+      return run(() => {
+        requireConfig(config, ['email', 'password', 'themeId']);
+        return withLock(config, 'upload', () => uploadTheme({ ...config, force }));
+      });
+    },
+
+    history() {
+      return run(async () => {
+        requireConfig(config, ['themeId']);
+        return listHistory(config);
+      });
+    },
+
+    rollback(n) {
+      return run(() => {
+        requireConfig(config, ['email', 'password', 'themeId']);
+        return withLock(config, 'rollback', () => rollbackTheme(config, n));
+      });
+    },
+
+    pull({ overwrite = false, yes = false, keepTemp = false } = {}) {
+      return run(async () => {
+        requireConfig(config, ['email', 'password', 'themeId']);
+        const { added, removed, modified, tempDir } = await pullTheme(config, { overwrite, yes, keepTemp });
+        return { added, removed, modified, tempDir };
+      });
+    },
+
+    // Resolves once the watcher is ready. The watcher holds the upload lock
+    // and events keep arriving on the client until close() is called.
+    // `stopped` settles when watching ends, rejecting with LockError when it
+    // ended because another process took the lock over.
+    async watch() {
+      requireConfig(config, ['email', 'password', 'themeId']);
+      let settle;
+      const stopped = new Promise((resolve, reject) => {
+        settle = err => (err ? reject(err) : resolve());
+      });
+      // Only a caller that awaits it should see the rejection.
+      stopped.catch(() => {});
+      let closing = null;
+      const close = err => {
+        closing ??= (async () => {
+          stop();
+          unlock();
+          await watcher.close();
+          settle(err);
+        })();
+        return closing;
+      };
+      const unlock = acquireLock(config, 'watch', { onLost: err => close(err) });
+      const stop = forward();
+      const watcher = watchTheme(config);
+      return new Promise((resolve, reject) => {
+        watcher.once('ready', () => resolve({ close: () => close(), stopped }));
+        watcher.once('error', err => {
+          close(err);
+          reject(err);
+        });
+      });
+    }
+  });
+}
+
+// Options use the camelCase names of the profile keys (baseUrl, themeId,
+// session for the session file, ...) and fall back to the project config
+// and .env like the CLI does. Nothing is printed unless `logLevel` is set;
+// progress is delivered as events instead.
+export function createZidThemeClient({ logLevel = 'silent', env = process.env, ...options } = {}) {
+  configureLogger({ level: logLevel });
+  const flags = Object.fromEntries(
+    Object.entries(OPTION_FLAGS)
+      .filter(([option]) => options[option] !== undefined)
+      .map(([option, flag]) => [flag, options[option]])
+  );
+  return clientForConfig(loadConfig(flags, env));
+}
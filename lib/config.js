@@ -0,0 +1,182 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_RETRY } from './retry.js';
+import { resolveEnvironment, postLoginPattern } from './environments.js';
+import { bypassesProxy } from './http.js';
+import { log } from './log.js';
+
+export const PROJECT_CONFIG_FILE = 'zid-theme.config.json';
+export const STATE_DIR = '.zid';
+
+// CLI flags and the .env keys they override.
+export const CONFIG_FLAGS = {
+  'base-url': 'ZID_BASE',
+  email: 'ZID_EMAIL',
+  password: 'ZID_PASSWORD',
+  'theme-id': 'THEME_ID',
+  'theme-name': 'THEME_NAME',
+  'theme-code': 'THEME_CODE',
+  folder: 'THEME_FOLDER',
+  cookies: 'COOKIES_FILE',
+  'max-attempts': 'UPLOAD_MAX_ATTEMPTS',
+  otp: 'ZID_OTP',
+  debounce: 'WATCH_DEBOUNCE_MS',
+  env: 'ZID_ENV',
+  proxy: 'ZID_PROXY',
+  'ca-file': 'ZID_CA_FILE',
+  'lock-dir': 'ZID_LOCK_DIR',
+  assets: 'ZID_ASSETS',
+  'image-budget': 'ZID_IMAGE_BUDGET'
+};
+
+// Profile keys in zid-theme.config.json for each flag.
+const PROFILE_KEYS = {
+  'base-url': 'baseUrl',
+  email: 'email',
+  password: 'password',
+  'theme-id': 'themeId',
+  'theme-name': 'themeName',
+  'theme-code': 'themeCode',
+  folder: 'folder',
+  cookies: 'cookies',
+  'max-attempts': 'maxAttempts',
+  debounce: 'watchDebounceMs',
+  env: 'environment',
+  proxy: 'proxy',
+  'ca-file': 'caFile',
+  'lock-dir': 'lockDir',
+  assets: 'assets',
+  'image-budget': 'imageBudget'
+};
+
+export function loadProjectConfig(cwd = process.cwd()) {
+  const file = path.join(cwd, PROJECT_CONFIG_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${PROJECT_CONFIG_FILE}: ${err.message}`);
+  }
+}
+
+export function listProfiles(project = loadProjectConfig()) {
+  return Object.keys(project?.profiles || {});
+}
+
+function resolveProfile(project, name) {
+  if (!project?.profiles) {
+    if (name) throw new Error(`Profile "${name}" requested but ${PROJECT_CONFIG_FILE} does not exist`);
+    return { name: null, profile: {} };
+  }
+  const names = Object.keys(project.profiles);
+  const selected = name || project.defaultProfile || names[0];
+  if (!project.profiles[selected]) {
+    throw new Error(`Unknown profile "${selected}", expected one of: ${names.join(', ')}`);
+  }
+  return { name: selected, profile: project.profiles[selected] };
+}
+
+// Values come from CLI flags first, then the selected profile, then .env.
+// A profile keeps the secret out of the config file by naming the variable
+// that holds its password in `passwordEnv`. An explicitly selected
+// environment wins over ZID_BASE, which only replaces production's URL.
+export function loadConfig(flags = {}, env = process.env, project = loadProjectConfig()) {
+  const { name, profile } = resolveProfile(project, flags.profile ?? env.ZID_PROFILE);
+  const profilePassword = profile.passwordEnv ? env[profile.passwordEnv] : profile.password;
+  const value = flag => {
+    if (flags[flag] !== undefined) return flags[flag];
+    const fromProfile = flag === 'password' ? profilePassword : profile[PROFILE_KEYS[flag]];
+    return fromProfile ?? env[CONFIG_FLAGS[flag]];
+  };
+
+  const environmentName = value('env');
+  const environment = resolveEnvironment(project, environmentName);
+  const baseUrl = (flags['base-url'] ?? profile.baseUrl
+    ?? (environmentName ? environment.baseUrl : env.ZID_BASE) ?? environment.baseUrl).replace(/\/+$/, '');
+  const caFile = value('ca-file') ?? environment.caFile;
+
+  const cwd = process.cwd();
+  const themeFolder = value('folder') || 'Vineta';
+  const cookiesFile = flags.cookies ?? profile.cookies
+    ?? (name ? path.join(STATE_DIR, 'sessions', `${name}.json`) : env.COOKIES_FILE || 'cookies.json');
+
+  return {
+    profile: name,
+    environment: environment.name,
+    baseUrl,
+    loginPath: environment.loginPath,
+    postLoginPattern: postLoginPattern(environment, baseUrl),
+    apiPrefix: environment.apiPrefix.replace(/\/+$/, ''),
+    proxy: value('proxy') ?? environment.proxy ?? env.HTTPS_PROXY ?? env.https_proxy,
+    noProxy: env.NO_PROXY ?? env.no_proxy,
+    caFile: caFile && path.resolve(process.cwd(), caFile),
+    email: value('email'),
+    password: value('password'),
+    themeId: value('theme-id'),
+    themeName: value('theme-name'),
+    themeCode: value('theme-code'),
+    themeFolder,
+    folderPath: path.resolve(cwd, themeFolder),
+    assetsPath: path.resolve(cwd, value('assets') || 'assets'),
+    zipPath: path.join(cwd, 'zip', `${path.basename(themeFolder)}.zip`),
+    cookiesFile: path.resolve(cwd, cookiesFile),
+    stateDir: path.resolve(cwd, STATE_DIR),
+    maxAttempts: Math.max(1, Number(value('max-attempts')) || DEFAULT_RETRY.maxAttempts),
+    otp: value('otp'),
+    force: Boolean(flags.force),
+    lockDir: value('lock-dir') && path.resolve(cwd, value('lock-dir')),
+    stealLock: Boolean(flags['steal-lock']),
+    optimizeImages: Boolean(flags['optimize-images'] ?? profile.optimizeImages ?? env.ZID_OPTIMIZE_IMAGES === '1'),
+    imageBudgetKb: Math.max(1, Number(value('image-budget')) || 200),
+    cacheBust: Boolean(flags['cache-bust'] ?? profile.cacheBust ?? env.ZID_CACHE_BUST !== '0'),
+    pruneAssets: Boolean(flags['prune-assets'] ?? profile.pruneAssets ?? env.ZID_PRUNE_ASSETS === '1'),
+    browserLogin: Boolean(flags['browser-login'] ?? profile.browserLogin ?? env.ZID_BROWSER_LOGIN === '1'),
+    watchDebounceMs: Math.max(0, Number(value('debounce') ?? 1000)),
+    watchIgnore: flags.ignore ?? profile.watchIgnore ?? (env.WATCH_IGNORE ? env.WATCH_IGNORE.split(',').map(g => g.trim()).filter(Boolean) : [])
+  };
+}
+
+export function loadAllProfileConfigs(flags = {}, env = process.env) {
+  const project = loadProjectConfig();
+  const names = listProfiles(project);
+  if (!names.length) {
+    throw new Error(`--all-profiles needs profiles defined in ${PROJECT_CONFIG_FILE}`);
+  }
+  return names.map(profile => loadConfig({ ...flags, profile }, env, project));
+}
+
+export function requireConfig(config, keys) {
+  const names = {
+    email: 'ZID_EMAIL',
+    password: 'ZID_PASSWORD',
+    themeId: 'THEME_ID'
+  };
+  const missing = keys.filter(key => !config[key]);
+  if (missing.length) {
+    const where = config.profile ? `profile "${config.profile}"` : '.env';
+    throw new Error(`Please set ${missing.map(key => names[key] || key).join(', ')} in ${where} or pass the matching flag`);
+  }
+}
+
+export function printDebugInfo(config) {
+  log.debug('🔧 Debug Information:');
+  log.debug('📂 Current working directory:', process.cwd());
+  if (config.profile) log.debug('🏷️ Profile:', config.profile);
+  log.debug('🌐 Environment:', `${config.environment} (${config.baseUrl})`);
+  if (config.proxy) {
+    const bypassed = bypassesProxy(config.baseUrl, config.noProxy) ? ' (not used, the host is in NO_PROXY)' : '';
+    log.debug('🛡️ Proxy:', config.proxy.replace(/\/\/[^@/]*@/, '//***@') + bypassed);
+  }
+  log.debug('📁 Theme folder name:', config.themeFolder);
+  log.debug('📍 Full folder path:', config.folderPath);
+  log.debug('🎨 Source stylesheets:', config.assetsPath);
+  log.debug('📦 Zip path:', config.zipPath);
+  log.debug('🍪 Cookies file:', config.cookiesFile);
+  log.debug('📋 Folder exists:', fs.existsSync(config.folderPath));
+  if (fs.existsSync(config.folderPath)) {
+    const files = fs.readdirSync(config.folderPath);
+    log.debug('📄 Files in folder:', files.length, 'files');
+    log.debug('📝 Sample files:', files.slice(0, 5));
+  }
+}
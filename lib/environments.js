@@ -0,0 +1,35 @@
+// Where a dashboard lives and how to talk to it. Projects can add their own
+// (staging, regional dashboards) under `environments` in
+// zid-theme.config.json; fields left out fall back to production's.
+export const DEFAULT_ENVIRONMENT = 'production';
+
+export const ENVIRONMENTS = {
+  production: {
+    baseUrl: 'https://web.zid.sa',
+    loginPath: '/login',
+    // Matched against the full URL to tell that the browser login finished.
+    // Defaults to `<baseUrl>/home`.
+    postLoginPattern: null,
+    apiPrefix: '/api/v1'
+  }
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function listEnvironments(project) {
+  return [...new Set([...Object.keys(ENVIRONMENTS), ...Object.keys(project?.environments || {})])];
+}
+
+export function resolveEnvironment(project, name = DEFAULT_ENVIRONMENT) {
+  const definition = project?.environments?.[name] ?? ENVIRONMENTS[name];
+  if (!definition) {
+    throw new Error(`Unknown environment "${name}", expected one of: ${listEnvironments(project).join(', ')}`);
+  }
+  return { name, ...ENVIRONMENTS[DEFAULT_ENVIRONMENT], ...definition };
+}
+
+export function postLoginPattern(environment, baseUrl) {
+  return environment.postLoginPattern || `^${escapeRegExp(baseUrl)}/home(?:[/?#]|$)`;
+}
@@ -0,0 +1,87 @@
+export const THEME_NOT_FOUND_MESSAGE = 'لم يتم إيجاد الثييم المطلوب';
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+// Every failure the uploader reports falls into one of these classes. The
+// exit code lets scripts tell them apart without parsing output.
+export class ZidError extends Error {
+  constructor(message, { cause, status, data } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+export class AuthError extends ZidError {
+  static kind = 'auth';
+  static exitCode = 3;
+}
+
+export class ValidationError extends ZidError {
+  static kind = 'validation';
+  static exitCode = 4;
+}
+
+export class ThemeNotFoundError extends ZidError {
+  static kind = 'theme-not-found';
+  static exitCode = 5;
+}
+
+export class NetworkError extends ZidError {
+  static kind = 'network';
+  static exitCode = 6;
+}
+
+export class ServerError extends ZidError {
+  static kind = 'server';
+  static exitCode = 7;
+}
+
+export class LockError extends ZidError {
+  static kind = 'locked';
+  static exitCode = 8;
+}
+
+export function errorKind(err) {
+  return err?.constructor?.kind || 'unknown';
+}
+
+export function exitCodeFor(err) {
+  return err?.constructor?.exitCode || 1;
+}
+
+function messageOf(data, fallback) {
+  if (typeof data === 'string' && data) return data;
+  return data?.message || fallback;
+}
+
+// Turns a non-success upload response body into the matching error.
+export function classifyResponse(data, status) {
+  const message = messageOf(data, 'Unknown error');
+  if (message.includes(THEME_NOT_FOUND_MESSAGE)) {
+    return new ThemeNotFoundError(message, { status, data });
+  }
+  return new ValidationError(message, { status, data });
+}
+
+// Turns anything thrown by axios (or our own code) into a ZidError.
+export function classifyError(err) {
+  if (err instanceof ZidError) return err;
+
+  const res = err.response;
+  if (!res) {
+    if (NETWORK_CODES.includes(err.code) || err.request) {
+      return new NetworkError(err.message || 'Network error', { cause: err });
+    }
+    return new ZidError(err.message || 'Unknown error', { cause: err });
+  }
+
+  const { status, data } = res;
+  const options = { cause: err, status, data };
+  if (status === 401 || status === 419) return new AuthError(messageOf(data, 'Session expired'), options);
+  if (status === 403) return new AuthError(messageOf(data, 'Access denied'), options);
+  if (status === 404) return new ThemeNotFoundError(messageOf(data, 'Theme not found'), options);
+  if (status >= 500) return new ServerError(messageOf(data, `Server responded with ${status}`), options);
+  return classifyResponse(data, status);
+}
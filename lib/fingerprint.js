@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { TWIG_REFERENCE } from './asset-audit.js';
+import { log } from './log.js';
+
+// Appended as its own query parameter so a `?v=` the author wrote stays and
+// pull can take the fingerprint back out.
+const PARAM = 'hash';
+const FINGERPRINT = new RegExp(`[?&]${PARAM}=[0-9a-f]{10}(?![\\w])`, 'g');
+
+export function stripFingerprints(source) {
+  return source.replace(FINGERPRINT, '');
+}
+
+function withFingerprint(name, hash) {
+  const [url, fragment] = stripFingerprints(name).split(/(?=#)/);
+  return `${url}${url.includes('?') ? '&' : '?'}${PARAM}=${hash}${fragment ?? ''}`;
+}
+
+// Adds a content hash to every static `asset_url`/`assetUrl()` reference in
+// the packaged templates, so browsers and the CDN fetch an asset again
+// after it changes. Takes and returns the packager's `{ path, data }` list;
+// the files on disk are not touched. Names built at render time are left
+// as they are.
+export function fingerprintAssets(files) {
+  const hashes = new Map(files
+    .filter(file => file.path.startsWith('assets/'))
+    .map(file => [file.path.slice('assets/'.length), crypto.createHash('sha256').update(file.data).digest('hex').slice(0, 10)]));
+  const assets = new Set();
+  let references = 0;
+  let templates = 0;
+
+  const rewritten = files.map(file => {
+    if (!file.path.endsWith('.twig')) return file;
+    const source = file.data.toString('utf-8');
+    const out = source.replace(TWIG_REFERENCE, (match, ...groups) => {
+      const name = groups[1] ?? groups[3] ?? groups[6];
+      if (groups[2] || groups[4] || groups[7] || !name) return match;
+      const asset = stripFingerprints(name).replace(/[?#].*$/, '').replace(/^\.?\//, '');
+      if (!hashes.has(asset)) return match;
+      references++;
+      assets.add(asset);
+      return match.replace(name, withFingerprint(name, hashes.get(asset)));
+    });
+    if (out === source) return file;
+    templates++;
+    return { ...file, data: Buffer.from(out) };
+  });
+
+  if (references) log.info(`🔖 Fingerprinted ${references} reference(s) to ${assets.size} asset(s) in ${templates} template(s)`);
+  return rewritten;
+}
@@ -0,0 +1,345 @@
+import fs from 'fs';
+import path from 'path';
+import { addLocaleKeys } from './i18n.js';
+import { log } from './log.js';
+
+export const MODULE_LAYOUTS = ['grid', 'carousel'];
+
+const bilingual = (en, ar) => ({ ar, en });
+const noLabel = { label: bilingual(' ', ' '), noLabel: true };
+const SLIDER_ONLY = bilingual('Only works with slider (you must save to activate this option)', 'يعمل فقط مع السلايدر (يجب الحفظ لتفعيل هذا الخيار)');
+
+const PADDING_OPTIONS = [
+  { value: 'default', label: bilingual('Default', 'القيمة الافتراضية') },
+  ...['00', ...Array.from({ length: 20 }, (_, i) => String((i + 1) * 10))]
+    .map(value => ({ value, label: bilingual(String(Number(value)), String(Number(value))) }))
+];
+
+// The settings every home-page section shares, as the existing modules
+// spell them: visibility, spacing, titles, background and overlay.
+const SECTION_SETTINGS = {
+  hide_all_section: { type: 'checkbox', ...noLabel, option: bilingual('Hide Section', 'إخفاء القسم') },
+  full_width: { type: 'checkbox', ...noLabel, option: bilingual('Full Width', 'عرض كامل الشاشة'), default: false },
+  padding_top: {
+    type: 'select',
+    label: bilingual('Section Padding Top (Default is 80)', 'التباعد العلوي للقسم القيمة الافتراضية هي (80)'),
+    options: PADDING_OPTIONS,
+    default: '80'
+  },
+  padding_bottom: {
+    type: 'select',
+    label: bilingual('Section Padding Bottom (Default is 80)', 'التباعد السفلي للقسم القيمة الافتراضية هي (80)'),
+    options: PADDING_OPTIONS,
+    default: '80'
+  },
+  sub_title: { type: 'text', label: bilingual('Sub Title', 'العنوان الفرعي') },
+  sub_title_color: { type: 'color', label: bilingual('Sub Title Color', 'لون العنوان الفرعي') },
+  section_title: { type: 'text', label: bilingual('Title', 'العنوان') },
+  title_color: { type: 'color', label: bilingual('Title Color', 'لون العنوان') },
+  title_center: { type: 'checkbox', ...noLabel, option: bilingual('Center Title and Sub Title', 'توسيط العنوان والعنوان الفرعي') },
+  title_padding_bottom: {
+    type: 'select',
+    label: bilingual('Title Padding Bottom (Default is 50)', 'التباعد السفلي للعنوان القيمة الافتراضية هي (50)'),
+    options: PADDING_OPTIONS,
+    default: '50'
+  },
+  bg_color: { type: 'color', label: bilingual('Background Color', 'لون الخلفية') },
+  bg_img: { type: 'image', label: bilingual('Background Image', 'صورة الخلفية') },
+  bg_attachment: {
+    type: 'checkbox',
+    option: bilingual('Background Image is Fixed', 'صورة الخلفية متحركة'),
+    info: bilingual('You can set if the background image will be fixed or not', 'يمكنك تحديد ما إذا كانت صورة الخلفية ستكون متحركة أو ثابتة'),
+    noLabel: true
+  },
+  overlay: { type: 'checkbox', ...noLabel, option: bilingual('Show Overlay', 'إظهار الغطاء المتداخل') },
+  overlay_color: { type: 'color', label: bilingual('Overlay Color', 'لون الغطاء المتداخل'), default: '#000000' },
+  overlay_opacity: {
+    type: 'number',
+    label: bilingual('Overlay Opacity', 'شفافية الغطاء المتداخل'),
+    info: bilingual('You can set the overlay opacity between 0 and 1 like 0.5', 'يمكنك تحديد شفافية الغطاء بين 0 و 1 مثل 0.5'),
+    min: 0,
+    max: 1
+  }
+};
+
+const LAYOUT_SETTINGS = {
+  grid: {
+    columns: {
+      type: 'select',
+      label: bilingual('Items per Row', 'عدد العناصر في الصف الواحد'),
+      options: ['2', '3', '4', '6'].map(value => ({
+        value,
+        label: bilingual(`${value} items per row`, `${value} ${value === '6' ? 'عناصر' : 'عنصر'} في الصف`)
+      })),
+      default: '4'
+    }
+  },
+  carousel: {
+    items_web: {
+      type: 'select',
+      label: bilingual('Items count web', 'عدد العناصر في الويب'),
+      options: ['1', '2', '3', '4', '5', '6'].map(value => ({
+        value,
+        label: bilingual(value === '1' ? '1 item' : `${value} items`, value === '1' ? '1 عنصر' : `${value} عناصر`)
+      })),
+      info: SLIDER_ONLY,
+      default: '4'
+    },
+    infinite: { type: 'checkbox', label: bilingual('', ''), option: bilingual('Infinite', 'تكرار العناصر'), noLabel: true, default: true },
+    arrows: { type: 'checkbox', label: bilingual('', ''), option: bilingual('Show Arrows', 'إظهار الاسهم'), info: SLIDER_ONLY, noLabel: true, default: true },
+    autoplay: { type: 'checkbox', label: bilingual('', ''), option: bilingual('Auto Play', 'تشغيل تلقائي'), info: SLIDER_ONLY, noLabel: true, default: true },
+    dots: { type: 'checkbox', label: bilingual('', ''), option: bilingual('Show Dots', 'إظهار النقاط'), info: SLIDER_ONLY, noLabel: true }
+  }
+};
+
+const ITEM_SETTINGS = {
+  type: 'list',
+  noLabel: true,
+  maxItems: 20,
+  settings_label: bilingual('Item', 'العنصر'),
+  settings: {
+    image: { type: 'image', label: bilingual('Image', 'الصورة') },
+    title: { type: 'text', label: bilingual('Title', 'العنوان') },
+    text: { type: 'textarea', label: bilingual('Text', 'النص') },
+    link: { type: 'url', label: bilingual('Link', 'الرابط') },
+    new_tab: { type: 'checkbox', ...noLabel, option: bilingual('Open Link in New Tab', 'فتح الرابط في علامة تبويب جديدة'), default: false }
+  }
+};
+
+// whySection → why_section, for the module's locale keys.
+function localePrefix(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toLowerCase();
+}
+
+function humanize(name) {
+  const words = localePrefix(name).split('_').filter(Boolean).join(' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export function moduleSchema({ labels, layout }) {
+  return {
+    name: bilingual(labels.en, labels.ar),
+    icon: layout === 'carousel' ? 'fal fa-sliders-h' : 'fal fa-th-large',
+    display: true,
+    settings: { ...SECTION_SETTINGS, ...LAYOUT_SETTINGS[layout], items: ITEM_SETTINGS }
+  };
+}
+
+function itemMarkup(name, keys) {
+  return `<div class="${name}-item">
+            {% if item.image %}
+              <img src="{{ item.image }}" loading="lazy" alt="{{ item.title }}" />
+            {% endif %}
+            {% if item.title %}
+              <h3 class="title">{{ item.title }}</h3>
+            {% endif %}
+            {% if item.text %}
+              <p class="text">{{ item.text }}</p>
+            {% endif %}
+            {% if item.link %}
+              <a href="{{ item.link }}" class="more" {% if item.new_tab %}target="_blank"{% endif %}>{{ locals.${keys.more} }}</a>
+            {% endif %}
+          </div>`;
+}
+
+function gridMarkup(name, keys) {
+  return `    <div class="row">
+      {% for item in settings.items %}
+        <div class="col-sm-6 col-md-6 {% if settings.columns == "2" %}col-lg-6{% elseif settings.columns == "3" %}col-lg-4{% elseif settings.columns == "6" %}col-lg-2{% else %}col-lg-3{% endif %}">
+          ${itemMarkup(name, keys)}
+        </div>
+      {% else %}
+        <p class="${name}-empty">{{ locals.${keys.empty} }}</p>
+      {% endfor %}
+    </div>`;
+}
+
+function carouselMarkup(name, keys) {
+  return `    <div class="${name}-slider">
+      {% for item in settings.items %}
+        <div>
+          ${itemMarkup(name, keys)}
+        </div>
+      {% else %}
+        <p class="${name}-empty">{{ locals.${keys.empty} }}</p>
+      {% endfor %}
+    </div>`;
+}
+
+function carouselScript(name) {
+  return `
+<script>
+  document.addEventListener("DOMContentLoaded", function(){
+    var arrowNextClass = (window.appDirection === 'ltr') ? 'fa fa-angle-right': 'fa fa-angle-left';
+    var arrowPrevClass = (window.appDirection === 'ltr') ? 'fa fa-angle-left' : 'fa fa-angle-right';
+
+    $('[section-id={{ sectionId }}] .${name}-slider').slick({
+      slidesToShow: {% if settings.items_web %}{{ settings.items_web }}{% else %}4{% endif %},
+      slidesToScroll: 1,
+      infinite: {% if settings.infinite %}true{% else %}false{% endif %},
+      autoplay: {% if settings.autoplay %}true{% else %}false{% endif %},
+      arrows: {% if settings.arrows %}true{% else %}false{% endif %},
+      dots: {% if settings.dots %}true{% else %}false{% endif %},
+      rtl: !(window.appDirection === 'ltr'),
+      nextArrow:'<span class="slick-next hbtn1"><i class="'+arrowNextClass+'"></i></span>',
+      prevArrow:'<span class="slick-prev hbtn1"><i class="'+arrowPrevClass+'"></i></span>',
+      responsive: [
+        { breakpoint: 992, settings: { slidesToShow: 3 } },
+        { breakpoint: 767, settings: { slidesToShow: 2 } },
+        { breakpoint: 480, settings: { slidesToShow: 1 } }
+      ]
+    });
+  });
+</script>
+`;
+}
+
+export function moduleTemplate({ name, layout, keys, schema }) {
+  const content = layout === 'carousel' ? carouselMarkup(name, keys) : gridMarkup(name, keys);
+  return `{% if not settings.hide_all_section %}
+<section section-id="{{ sectionId }}"
+         data-lg-scroll-offset="130"
+         data-md-scroll-offset="130"
+         style="{% if settings.bg_color %}background-color:{{ settings.bg_color }};{% endif %} {% if settings.bg_img %}background-image:url({{ settings.bg_img }});background-size: cover; background-position: center; {% if settings.bg_attachment %} background-attachment: fixed;{% endif %}{% endif %}"
+         data-sm-scroll-offset="94" class="${name} pb-{% if settings.padding_bottom and settings.padding_bottom != 'default' %}{{ settings.padding_bottom }}{% else %}80{% endif %} pt-{% if settings.padding_top and settings.padding_top != 'default' %}{{ settings.padding_top }}{% else %}80{% endif %}">
+
+  {% if settings.overlay %}
+    <div class="overlay" style="{% if settings.overlay_color %}background-color:{{ settings.overlay_color }};{% endif %} {% if settings.overlay_opacity %}opacity:{{ settings.overlay_opacity }};{% endif %}"></div>
+  {% endif %}
+
+  <div class="{% if settings.full_width == false %} container custom-container {% else %} container-fluid {% endif %}">
+
+    {% if settings.sub_title or settings.section_title %}
+    <div class="title-area {% if settings.title_center %}center{% endif %} pb-{% if settings.title_padding_bottom and settings.title_padding_bottom != 'default' %}{{ settings.title_padding_bottom }}{% else %}50{% endif %}">
+      {% if settings.sub_title %}
+        <h4 class="sub-title" style="{% if settings.sub_title_color %}color:{{ settings.sub_title_color }};{% endif %}">{{ settings.sub_title }}</h4>
+      {% endif %}
+      {% if settings.section_title %}
+        <h2 class="section-title" style="{% if settings.title_color %}color:{{ settings.title_color }};{% endif %}">
+          {{ settings.section_title }}
+        </h2>
+      {% endif %}
+    </div>
+    {% endif %}
+
+${content}
+
+  </div>
+
+</section>
+${layout === 'carousel' ? carouselScript(name) : ''}{% endif %}
+
+{% schema %}
+${JSON.stringify(schema, null, 2)}
+{% endschema %}
+`;
+}
+
+function moduleStyles(name, layout) {
+  return `/******************************************************/
+/* ${humanize(name)} (modules/${name}.twig) */
+/******************************************************/
+
+.${name} {
+  position: relative;
+}
+
+.${name} .overlay {
+  position: absolute;
+  inset: 0;
+  pointer-events: none;
+}
+
+.${name} .${name}-item {
+  height: 100%;
+  text-align: left;
+}
+
+.${name} .${name}-item img {
+  max-width: 100%;
+  margin-bottom: 15px;
+}
+
+.${name} .${name}-item .more {
+  display: inline-block;
+  margin-left: 0;
+  margin-right: auto;
+}
+${layout === 'carousel' ? `
+.${name} .${name}-slider .slick-slide {
+  padding-left: 10px;
+  padding-right: 10px;
+}
+` : ''}`;
+}
+
+// Module stylesheets are loaded once per page from layout.twig, after the
+// page stylesheets of the same direction, like home-page.css is, rather
+// than by every copy of the module. Resolves to false when layout.twig has
+// no such links to follow.
+function linkStyles(folder, name) {
+  const layout = path.join(folder, 'layout.twig');
+  if (!fs.existsSync(layout)) return false;
+  let source = fs.readFileSync(layout, 'utf-8');
+  for (const dir of ['rtl', 'ltr']) {
+    if (source.includes(`${name}.${dir}.css`)) continue;
+    const links = [...source.matchAll(new RegExp(`^[ \\t]*<link\\b[^>\\n]*/assets/[\\w.-]+\\.${dir}\\.css[^>\\n]*>[ \\t]*$`, 'gm'))];
+    const last = links[links.length - 1];
+    if (!last) return false;
+    const at = last.index + last[0].length;
+    const link = last[0].replace(new RegExp(`[\\w.-]+\\.${dir}\\.css`), `${name}.${dir}.css`);
+    source = `${source.slice(0, at)}\n${link}${source.slice(at)}`;
+  }
+  fs.writeFileSync(layout, source);
+  return true;
+}
+
+function writeFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+}
+
+// Creates modules/<name>.twig with the standard section wrapper and a
+// bilingual schema, its .ltr.css next to the other source stylesheets (the
+// build generates the .rtl.css from it) linked from layout.twig, and the
+// locale keys the template uses. Locale keys that already exist are kept.
+export function generateModule(config, name, { layout = 'grid', labels = {}, force = false } = {}) {
+  if (!/^[A-Za-z][\w-]*$/.test(name || '')) {
+    throw new Error('Module names start with a letter and use letters, digits, "_" or "-", e.g. whySection');
+  }
+  if (!MODULE_LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown layout "${layout}", expected one of: ${MODULE_LAYOUTS.join(', ')}`);
+  }
+
+  const prefix = localePrefix(name);
+  const keys = { empty: `${prefix}_empty`, more: `${prefix}_more` };
+  const label = { en: labels.en || humanize(name), ar: labels.ar || labels.en || humanize(name) };
+  const schema = moduleSchema({ labels: label, layout });
+  const template = path.join(config.folderPath, 'modules', `${name}.twig`);
+
+  const files = [
+    [template, moduleTemplate({ name, layout, keys, schema })],
+    [path.join(config.assetsPath, `${name}.ltr.css`), moduleStyles(name, layout)]
+  ];
+  files.forEach(([file]) => {
+    if (fs.existsSync(file) && !force) throw new Error(`${file} already exists, pass --force to overwrite it`);
+  });
+  files.forEach(([file, data]) => writeFile(file, data));
+
+  const locales = {
+    en: { [keys.empty]: 'No items to show yet', [keys.more]: 'Read more' },
+    ar: { [keys.empty]: 'لا توجد عناصر لعرضها حاليا', [keys.more]: 'اقرأ المزيد' }
+  };
+  const added = Object.fromEntries(Object.entries(locales).map(([lang, values]) => [lang, addLocaleKeys(config.folderPath, lang, values)]));
+  const linked = linkStyles(config.folderPath, name);
+
+  const created = files.map(([file]) => path.relative(process.cwd(), file).split(path.sep).join('/'));
+  created.forEach(file => log.info('✨ Created', file));
+  Object.entries(added).forEach(([lang, list]) => {
+    if (list.length) log.info(`✏️ Added ${list.join(', ')} to locals/${lang}.json`);
+  });
+  if (linked) log.info(`🔗 layout.twig loads ${name}.ltr.css and ${name}.rtl.css with the other page stylesheets`);
+  else log.warn(`⚠️ Load ${name}.ltr.css and ${name}.rtl.css from layout.twig next to the other page stylesheets`);
+  log.event('generate.module', { name, layout, files: created, locales: added, linked });
+  return { name, layout, files: created, locales: added, linked };
+}
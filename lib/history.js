@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { writeFileAtomic } from './packager.js';
+
+export const HISTORY_LIMIT = 20;
+
+export function historyDir(config) {
+  return path.join(config.stateDir, 'history', config.themeId);
+}
+
+function gitCommit(cwd) {
+  try {
+    const commit = execFileSync('git', ['rev-parse', 'HEAD'], { cwd, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    const dirty = execFileSync('git', ['status', '--porcelain', '--', '.'], { cwd, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    return { commit, dirty: Boolean(dirty) };
+  } catch {
+    return { commit: null, dirty: false };
+  }
+}
+
+export function diffFileHashes(before = {}, after = {}) {
+  const added = Object.keys(after).filter(file => !(file in before));
+  const removed = Object.keys(before).filter(file => !(file in after));
+  const modified = Object.keys(after).filter(file => file in before && before[file] !== after[file]);
+  return { added, modified, removed };
+}
+
+// Newest first, so `rollback 1` is the last upload and `rollback 2` the one
+// that was live before it.
+export function listHistory(config) {
+  const dir = historyDir(config);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(name => {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+        return { ...entry, zipPath: path.join(dir, name.replace(/\.json$/, '.zip')) };
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry && fs.existsSync(entry.zipPath));
+}
+
+export function getHistoryEntry(config, n) {
+  const entries = listHistory(config);
+  const index = Number(n);
+  if (!Number.isInteger(index) || index < 1 || index > entries.length) {
+    throw new Error(entries.length
+      ? `No history entry ${n}, expected a number from 1 to ${entries.length}`
+      : `No upload history for theme ${config.themeId} yet`);
+  }
+  return entries[index - 1];
+}
+
+// Archives the zip that was just uploaded with what changed since the
+// previous entry, then prunes everything past HISTORY_LIMIT. A rollback
+// keeps the commit of the snapshot it restored.
+export function archiveUpload(config, { zipPath, hash, fileHashes, rollbackOf }) {
+  const previous = listHistory(config)[0];
+  const uploadedAt = new Date();
+  const id = `${uploadedAt.toISOString().replace(/[:.]/g, '-')}-${hash.slice(0, 8)}`;
+  const dir = historyDir(config);
+  const entry = {
+    id,
+    uploadedAt: uploadedAt.toISOString(),
+    themeId: config.themeId,
+    profile: config.profile,
+    hash,
+    ...(rollbackOf ? { commit: rollbackOf.commit, dirty: rollbackOf.dirty } : gitCommit(config.folderPath)),
+    changed: diffFileHashes(previous?.fileHashes, fileHashes),
+    fileHashes,
+    ...(rollbackOf ? { rollbackOf: rollbackOf.id } : {})
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.copyFileSync(zipPath, path.join(dir, `${id}.zip`));
+  writeFileAtomic(path.join(dir, `${id}.json`), JSON.stringify(entry, null, 2));
+
+  for (const old of listHistory(config).slice(HISTORY_LIMIT)) {
+    fs.rmSync(old.zipPath, { force: true });
+    fs.rmSync(old.zipPath.replace(/\.zip$/, '.json'), { force: true });
+  }
+  return entry;
+}
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import tls from 'tls';
+import http from 'http';
+import https from 'https';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { createCookieAgent, HttpCookieAgent, HttpsCookieAgent } from 'http-cookie-agent';
+
+export function apiUrl(config, route) {
+  return `${config.baseUrl}${config.apiPrefix}${route}`;
+}
+
+// Tunnels through the proxy with CONNECT. The CA has to be handed to the
+// TLS upgrade itself, since the request options never carry it.
+class TunnelAgent extends HttpsProxyAgent {
+  constructor({ proxy, ca, ...options }) {
+    super(proxy, options);
+    this.ca = ca;
+  }
+
+  connect(req, opts) {
+    return super.connect(req, this.ca ? { ...opts, ca: this.ca } : opts);
+  }
+}
+
+const CookieTunnelAgent = createCookieAgent(TunnelAgent);
+
+function loadCa(config) {
+  if (!config.caFile) return undefined;
+  try {
+    return [...tls.rootCertificates, fs.readFileSync(config.caFile, 'utf-8')];
+  } catch (err) {
+    throw new Error(`Could not read CA file ${config.caFile}: ${err.message}`);
+  }
+}
+
+function parseNoProxyEntry(entry) {
+  const bracketed = entry.match(/^\[(.+)\](?::(\d+))?$/);
+  if (bracketed) return { name: bracketed[1], port: bracketed[2] };
+  const withPort = entry.match(/^([^:]+):(\d+)$/);
+  return withPort ? { name: withPort[1], port: withPort[2] } : { name: entry };
+}
+
+// NO_PROXY as curl reads it: hosts separated by commas or spaces, each
+// matching itself and its subdomains, optionally on one port only; `*`
+// matches every host.
+export function bypassesProxy(url, noProxy) {
+  if (!noProxy) return false;
+  const { hostname, port, protocol } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const actualPort = port || (protocol === 'https:' ? '443' : '80');
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    const { name, port: entryPort } = parseNoProxyEntry(entry.toLowerCase());
+    if (entryPort && entryPort !== actualPort) return false;
+    const bare = name.replace(/^\*?\./, '');
+    return host === bare || host.endsWith(`.${bare}`);
+  });
+}
+
+// Agents for axios that honour the configured proxy, unless NO_PROXY names
+// the dashboard host, and CA. With a `jar` the agents also send and store
+// its cookies. `proxy: false` keeps axios from applying HTTP(S)_PROXY a
+// second time.
+export function requestOptions(config, jar) {
+  const ca = loadCa(config);
+  if (config.proxy && !bypassesProxy(config.baseUrl, config.noProxy)) {
+    const agent = jar
+      ? new CookieTunnelAgent({ proxy: config.proxy, ca, jar })
+      : new TunnelAgent({ proxy: config.proxy, ca });
+    return { httpAgent: agent, httpsAgent: agent, proxy: false };
+  }
+  if (jar) {
+    return { httpAgent: new HttpCookieAgent({ jar }), httpsAgent: new HttpsCookieAgent({ jar, ca }), proxy: false };
+  }
+  return { httpAgent: http.globalAgent, httpsAgent: ca ? new https.Agent({ ca }) : https.globalAgent, proxy: false };
+}
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import { lineAt } from './twig-syntax.js';
+
+export const LOCALES = ['en', 'ar'];
+const SCRIPT_FILES = ['assets/main.js'];
+
+// `locals.a.b` and `locals['a']` style references. Dynamic lookups such as
+// `locals[key]` cannot be resolved and are skipped.
+const REFERENCE = /\blocals((?:\.[A-Za-z_$][\w$]*|\[\s*(['"])[^'"]+\2\s*\])+)/g;
+
+function listFiles(folder) {
+  const out = [];
+  const walk = dir => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) walk(full);
+      else if (dirent.name.endsWith('.twig')) out.push(full);
+    }
+  };
+  walk(folder);
+  const scripts = SCRIPT_FILES.map(file => path.join(folder, file)).filter(file => fs.existsSync(file));
+  return [...out.sort(), ...scripts];
+}
+
+// Maps each referenced key path to the places that use it.
+export function findLocaleReferences(folder) {
+  const references = new Map();
+  for (const file of listFiles(folder)) {
+    const rel = path.relative(folder, file).split(path.sep).join('/');
+    const source = fs.readFileSync(file, 'utf-8');
+    for (const match of source.matchAll(REFERENCE)) {
+      const key = [...match[1].matchAll(/\.([\w$]+)|\[\s*['"]([^'"]+)['"]\s*\]/g)]
+        .map(part => part[1] ?? part[2])
+        .join('.');
+      const { line, col } = lineAt(source, match.index);
+      if (!references.has(key)) references.set(key, []);
+      references.get(key).push({ file: rel, line, col });
+    }
+  }
+  return references;
+}
+
+function flatten(value, prefix, out) {
+  for (const [key, child] of Object.entries(value)) {
+    const full = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) flatten(child, full, out);
+    else out.set(full, child);
+  }
+  return out;
+}
+
+// JSON.parse keeps the last of two equal keys without a word, so duplicates
+// are found by walking the raw text.
+function findDuplicateKeys(source) {
+  const duplicates = [];
+  const stack = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '{') {
+      stack.push({ keys: new Set(), path: stack.length ? stack[stack.length - 1].pending : '' });
+    } else if (ch === '}') {
+      stack.pop();
+    } else if (ch === '"') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== '"') j += source[j] === '\\' ? 2 : 1;
+      const text = JSON.parse(source.slice(i, j + 1));
+      const top = stack[stack.length - 1];
+      if (top && /^\s*:/.test(source.slice(j + 1))) {
+        const key = top.path ? `${top.path}.${text}` : text;
+        if (top.keys.has(text)) duplicates.push({ key, line: lineAt(source, i).line });
+        top.keys.add(text);
+        top.pending = key;
+      }
+      i = j;
+    }
+    i++;
+  }
+  return duplicates;
+}
+
+export function loadLocale(folder, lang) {
+  const file = path.join(folder, 'locals', `${lang}.json`);
+  if (!fs.existsSync(file)) return { file, exists: false, data: {}, values: new Map(), duplicates: [] };
+  const source = fs.readFileSync(file, 'utf-8');
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (err) {
+    throw new Error(`Could not parse locals/${lang}.json: ${err.message}`);
+  }
+  return { file, exists: true, source, data, values: flatten(data, '', new Map()), duplicates: findDuplicateKeys(source) };
+}
+
+// A reference to an object such as `locals.profile` uses every key under it.
+function isUsed(key, references) {
+  for (let end = key.length; end !== -1; end = key.lastIndexOf('.', end - 1)) {
+    if (references.has(key.slice(0, end))) return true;
+  }
+  return false;
+}
+
+function hasKeyOrChildren(values, key) {
+  if (values.has(key)) return true;
+  for (const existing of values.keys()) if (existing.startsWith(`${key}.`)) return true;
+  return false;
+}
+
+// `missing` lists, per language, keys the theme references or the other
+// language defines; `identical` lists keys whose value is the same text in
+// every language, usually a string nobody translated.
+export function checkLocales(folder) {
+  const references = findLocaleReferences(folder);
+  const locales = Object.fromEntries(LOCALES.map(lang => [lang, loadLocale(folder, lang)]));
+  const defined = new Set(LOCALES.flatMap(lang => [...locales[lang].values.keys()]));
+
+  const missing = {};
+  for (const lang of LOCALES) {
+    const { values } = locales[lang];
+    missing[lang] = [...new Set([...references.keys(), ...defined])]
+      .filter(key => !hasKeyOrChildren(values, key))
+      .sort()
+      .map(key => ({ key, references: references.get(key) || [] }));
+  }
+
+  const unused = [...defined].filter(key => !isUsed(key, references)).sort();
+  const identical = [...defined]
+    .filter(key => {
+      const texts = LOCALES.map(lang => locales[lang].values.get(key));
+      return texts.every(text => typeof text === 'string' && /\p{L}/u.test(text) && text === texts[0]);
+    })
+    .sort();
+  const duplicates = Object.fromEntries(LOCALES.map(lang => [lang, locales[lang].duplicates]));
+
+  return { references, locales, missing, unused, identical, duplicates };
+}
+
+function humanize(key) {
+  const text = key.split('.').pop().replace(/[_-]+/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function setPath(data, key, value) {
+  const parts = key.split('.');
+  let target = data;
+  for (const part of parts.slice(0, -1)) {
+    if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+// Appends top-level keys to the end of the file so the rest of it keeps its
+// formatting; nested keys and files with duplicates are rewritten whole.
+function writeLocale(locale, keys) {
+  const indent = locale.source?.match(/^[ \t]+(?=")/m)?.[0] || '    ';
+  const close = locale.source?.lastIndexOf('}') ?? -1;
+  if (close !== -1 && !locale.duplicates.length && keys.every(key => !key.includes('.'))) {
+    const head = locale.source.slice(0, close).trimEnd();
+    const entries = keys.map(key => `${indent}${JSON.stringify(key)}: ${JSON.stringify(locale.data[key])}`);
+    const separator = head.endsWith('{') ? '\n' : ',\n';
+    fs.writeFileSync(locale.file, `${head}${separator}${entries.join(',\n')}\n${locale.source.slice(close)}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(locale.file), { recursive: true });
+  fs.writeFileSync(locale.file, `${JSON.stringify(locale.data, null, indent)}\n`);
+}
+
+// Adds the missing keys with a placeholder: the other language's text when
+// it has one, otherwise the key spelled out. Either way the new entry is
+// identical across languages, so the next check still lists it.
+export function fixLocales(report) {
+  const added = {};
+  for (const lang of LOCALES) {
+    const locale = report.locales[lang];
+    added[lang] = report.missing[lang].map(({ key }) => key);
+    for (const key of added[lang]) {
+      const other = LOCALES.map(code => report.locales[code].values.get(key)).find(text => typeof text === 'string');
+      setPath(locale.data, key, other ?? humanize(key));
+    }
+    if (added[lang].length) writeLocale(locale, added[lang]);
+  }
+  return added;
+}
+
+// Adds `values` (key → text) to one locale file, leaving keys it already
+// has alone. Resolves to the keys that were added.
+export function addLocaleKeys(folder, lang, values) {
+  const locale = loadLocale(folder, lang);
+  const keys = Object.keys(values).filter(key => !hasKeyOrChildren(locale.values, key));
+  keys.forEach(key => setPath(locale.data, key, values[key]));
+  if (keys.length) writeLocale(locale, keys);
+  return keys;
+}
@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { sha256, writeFileAtomic } from './packager.js';
+import { log } from './log.js';
+
+const IMAGE_FILE = /\.(png|jpe?g)$/i;
+const WORST_OFFENDERS = 10;
+// Bump when the encoder settings change so cached results are redone.
+const CACHE_VERSION = 2;
+
+// JPEG segments that do not affect how the image looks: EXIF (unless it
+// rotates the image), XMP, vendor APPn blocks and comments. JFIF, ICC
+// profiles (APP2) and the Adobe colour transform (APP14) stay.
+function stripJpegMetadata(data, keepExif) {
+  if (data[0] !== 0xff || data[1] !== 0xd8) return data;
+  const kept = [data.subarray(0, 2)];
+  let i = 2;
+  while (i + 4 <= data.length && data[i] === 0xff) {
+    const marker = data[i + 1];
+    if (marker === 0xda) break;
+    const end = i + 2 + data.readUInt16BE(i + 2);
+    const isApp = marker >= 0xe1 && marker <= 0xef && marker !== 0xe2 && marker !== 0xee;
+    const drop = marker === 0xfe || (isApp && !(keepExif && marker === 0xe1));
+    if (!drop) kept.push(data.subarray(i, end));
+    i = end;
+  }
+  kept.push(data.subarray(i));
+  return Buffer.concat(kept);
+}
+
+async function samePixels(sharp, a, b) {
+  const decode = data => sharp(data).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const [left, right] = await Promise.all([decode(a), decode(b)]);
+  return left.info.width === right.info.width && left.info.height === right.info.height && left.data.equals(right.data);
+}
+
+// sharp is an optional dependency: only this stage needs it, and it is off
+// by default.
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch (err) {
+    throw new Error(`Optimizing images needs the optional sharp package, which could not be loaded (${err.message}); install it with \`npm install sharp\``);
+  }
+}
+
+// A PNG re-encoded to the smallest size that decodes to exactly the same
+// pixels, or a JPEG with its metadata stripped. JPEGs are not recompressed:
+// sharp cannot do that without losing quality.
+async function optimizeImage(sharp, data) {
+  const meta = await sharp(data).metadata();
+  if (meta.format === 'jpeg') return stripJpegMetadata(data, meta.orientation > 1);
+  if (meta.format !== 'png' || meta.depth !== 'uchar' || (meta.pages ?? 1) !== 1) return data;
+
+  // `effort` would switch sharp to palette output, so it only goes on the
+  // palette attempt, which is kept when no colour had to change.
+  const encodings = [
+    { compressionLevel: 9, adaptiveFiltering: true },
+    { compressionLevel: 9, adaptiveFiltering: false },
+    { compressionLevel: 9, palette: true, quality: 100, effort: 10, dither: 0 }
+  ];
+  let best = data;
+  for (const options of encodings) {
+    const image = sharp(data);
+    if (meta.hasProfile) image.keepIccProfile();
+    const out = await image.png(options).toBuffer();
+    if (out.length < best.length && await samePixels(sharp, data, out)) best = out;
+  }
+  return best;
+}
+
+function listImages(folder) {
+  const out = [];
+  const walk = dir => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) walk(full);
+      else if (IMAGE_FILE.test(dirent.name)) out.push(full);
+    }
+  };
+  const assets = path.join(folder, 'assets');
+  if (fs.existsSync(assets)) walk(assets);
+  return out.sort();
+}
+
+// Results are stored by the hash of the image they came from, so an image
+// is only encoded once however often watch uploads it. Blobs live next to
+// the index under .zid/images.
+function openCache(config) {
+  const dir = path.join(config.stateDir, 'images');
+  const indexFile = path.join(dir, 'index.json');
+  let index = { version: CACHE_VERSION, entries: {} };
+  try {
+    const saved = JSON.parse(fs.readFileSync(indexFile, 'utf-8'));
+    if (saved.version === CACHE_VERSION) index = saved;
+  } catch {
+    // Missing or unreadable: start over.
+  }
+  const blob = hash => path.join(dir, hash);
+  return {
+    get(hash) {
+      const entry = index.entries[hash];
+      return entry && (entry.output === hash || fs.existsSync(blob(entry.output))) ? entry : null;
+    },
+    put(hash, output) {
+      fs.mkdirSync(dir, { recursive: true });
+      const entry = { output: sha256(output) };
+      if (entry.output !== hash) fs.writeFileSync(blob(entry.output), output);
+      index.entries[hash] = entry;
+      return entry;
+    },
+    read: hash => fs.readFileSync(blob(hash)),
+    save() {
+      if (Object.keys(index.entries).length) writeFileAtomic(indexFile, JSON.stringify(index));
+    }
+  };
+}
+
+function overBudget(images, config) {
+  const budget = config.imageBudgetKb * 1024;
+  return images.filter(image => image.size > budget).sort((a, b) => b.size - a.size);
+}
+
+// Sizes of the PNG/JPEG files under assets/ against the per-image budget,
+// largest offender first.
+export function checkImages(config) {
+  const images = listImages(config.folderPath).map(full => ({
+    file: path.relative(config.folderPath, full).split(path.sep).join('/'),
+    size: fs.statSync(full).size
+  }));
+  return { images: images.length, budget: config.imageBudgetKb * 1024, overBudget: overBudget(images, config) };
+}
+
+export function reportOverBudget({ overBudget: offenders, budget }) {
+  if (!offenders.length) return;
+  log.warn(`⚠️ ${offenders.length} image(s) over the ${(budget / 1024).toFixed(0)} KB budget, largest first:`);
+  for (const { file, size } of offenders.slice(0, WORST_OFFENDERS)) {
+    log.warn(`   ${file} ${(size / 1024).toFixed(1)} KB`);
+  }
+  if (offenders.length > WORST_OFFENDERS) log.warn(`   … and ${offenders.length - WORST_OFFENDERS} more`);
+}
+
+// Works out the recompressed PNGs and metadata-free JPEGs the package will
+// carry instead of the theme's images, without changing a pixel, and
+// reports the images over budget. The folder is left alone: the results go
+// to the cache, where optimizedImages() picks them up while packaging.
+export async function optimizeImages(config) {
+  const files = listImages(config.folderPath);
+  const cache = openCache(config);
+  const result = { images: files.length, optimized: [], cached: 0, savedBytes: 0 };
+  if (!files.length) return { ...result, ...checkImages(config) };
+
+  log.info(`🖼️ Optimizing ${files.length} image(s)…`);
+  let sharp = null;
+  for (const full of files) {
+    const rel = path.relative(config.folderPath, full).split(path.sep).join('/');
+    const data = fs.readFileSync(full);
+    const hash = sha256(data);
+    let entry = cache.get(hash);
+    if (entry) result.cached++;
+    else entry = cache.put(hash, await optimizeImage(sharp ??= await loadSharp(), data));
+
+    if (entry.output !== hash) {
+      result.savedBytes += data.length - cache.read(entry.output).length;
+      result.optimized.push(rel);
+    }
+  }
+  cache.save();
+
+  const report = { ...result, ...checkImages(config) };
+  const jpegs = result.optimized.filter(file => /\.jpe?g$/i.test(file)).length;
+  log.info(`✅ ${result.optimized.length - jpegs} PNG(s) recompressed and ${jpegs} JPEG(s) stripped of metadata (-${(result.savedBytes / 1024).toFixed(1)} KB in the package), ${result.cached} from cache`);
+  reportOverBudget(report);
+  log.event('images', { ...report });
+  return report;
+}
+
+// The packager `rewrite` step: swaps each image in the `{ path, data }`
+// list for the version optimizeImages() cached for it. Images it has not
+// seen yet are packaged as they are.
+export function optimizedImages(config, files) {
+  const cache = openCache(config);
+  let count = 0;
+  let saved = 0;
+  const out = files.map(file => {
+    if (!file.path.startsWith('assets/') || !IMAGE_FILE.test(file.path)) return file;
+    const hash = sha256(file.data);
+    const entry = cache.get(hash);
+    if (!entry || entry.output === hash) return file;
+    const data = cache.read(entry.output);
+    count++;
+    saved += file.data.length - data.length;
+    return { ...file, data };
+  });
+  if (count) log.info(`🖼️ Packaging ${count} optimized image(s) (-${(saved / 1024).toFixed(1)} KB)`);
+  return out;
+}
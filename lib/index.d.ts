@@ -0,0 +1,306 @@
+import { EventEmitter } from 'events';
+
+export type LogLevel = 'silent' | 'quiet' | 'normal' | 'verbose';
+
+export interface ClientOptions {
+  profile?: string;
+  environment?: string;
+  baseUrl?: string;
+  email?: string;
+  password?: string;
+  otp?: string;
+  themeId?: string;
+  themeName?: string;
+  themeCode?: string;
+  folder?: string;
+  /** Folder of source stylesheets published into the theme (default: assets). */
+  assets?: string;
+  /** Path of the encrypted session file. */
+  session?: string;
+  maxAttempts?: number | string;
+  proxy?: string;
+  caFile?: string;
+  browserLogin?: boolean;
+  force?: boolean;
+  /** Folder for upload locks; defaults to a folder in the OS temp dir. */
+  lockDir?: string;
+  stealLock?: boolean;
+  /** Leave assets nothing refers to out of the zip. */
+  pruneAssets?: boolean;
+  /** Add content hashes to asset URLs in the packaged templates (default: true). */
+  cacheBust?: boolean;
+  /**
+   * Package losslessly recompressed PNGs and JPEGs stripped of metadata (JPEGs are
+   * not recompressed); the files in the theme folder are not changed. Needs the
+   * optional sharp package.
+   */
+  optimizeImages?: boolean;
+  /** Per-image size budget in KB (default: 200). */
+  imageBudget?: number | string;
+  watchDebounceMs?: number | string;
+  watchIgnore?: string[];
+  /** Console output; defaults to 'silent' so only events are produced. */
+  logLevel?: LogLevel;
+  /** Replaces process.env as the fallback for unset options. */
+  env?: Record<string, string | undefined>;
+}
+
+export interface ZidConfig {
+  profile: string | null;
+  environment: string;
+  baseUrl: string;
+  loginPath: string;
+  postLoginPattern: string;
+  apiPrefix: string;
+  proxy?: string;
+  /** NO_PROXY: hosts reached without the proxy. */
+  noProxy?: string;
+  caFile?: string;
+  email?: string;
+  password?: string;
+  themeId?: string;
+  themeName?: string;
+  themeCode?: string;
+  themeFolder: string;
+  folderPath: string;
+  assetsPath: string;
+  zipPath: string;
+  cookiesFile: string;
+  stateDir: string;
+  maxAttempts: number;
+  otp?: string;
+  force: boolean;
+  lockDir?: string;
+  stealLock: boolean;
+  pruneAssets: boolean;
+  cacheBust: boolean;
+  optimizeImages: boolean;
+  imageBudgetKb: number;
+  browserLogin: boolean;
+  watchDebounceMs: number;
+  watchIgnore: string[];
+}
+
+export interface Theme {
+  id: string;
+  name: string;
+  status?: string;
+  created_at?: string;
+  updated_at?: string;
+  [key: string]: unknown;
+}
+
+export interface Problem {
+  file: string;
+  line: number;
+  col: number;
+  message: string;
+}
+
+export interface ValidationResult {
+  errors: Problem[];
+  warnings: Problem[];
+  fileCount: number;
+}
+
+export interface PackageResult {
+  zipPath: string;
+  files: string[];
+  fileHashes: Record<string, string>;
+  size: number;
+  hash: string;
+}
+
+export interface BuildResult {
+  /** Root stylesheets the build adds to the package, minified. */
+  styles: string[];
+  /** RTL stylesheets generated from their .ltr.css source. */
+  generated: string[];
+  /** Templates whose Live Server links point at asset_url in the package. */
+  templates: string[];
+  sourceBytes: number;
+  builtBytes: number;
+  /** Where the built files were written (.zid/build); the theme folder is left alone. */
+  outDir: string;
+}
+
+export interface RtlCheck {
+  /** The hand-written .rtl.css. */
+  file: string;
+  /** The .ltr.css it is compared against. */
+  source: string;
+  /** Normalized lines that differ; 0 when the files match. */
+  changes: number;
+  handWritten: string[];
+  generated: string[];
+}
+
+export interface AssetReport {
+  /** Files under assets/, counting stylesheets the build publishes. */
+  assets: number;
+  referenced: number;
+  /** References from templates and stylesheets to files that do not exist. */
+  missing: { asset: string; file: string; line: number; col: number }[];
+  /** Assets no template, or stylesheet or script they load, refers to. */
+  unreferenced: { file: string; size: number }[];
+  /** Assets with no content. */
+  empty: string[];
+  /** Names assembled at render time that could not be matched to a file. */
+  dynamic: { prefix: string; file: string; line: number; col: number }[];
+  /** False when a `dynamic` name has no static prefix and could be any asset; `pruneAssets` then keeps every file. */
+  prunable: boolean;
+}
+
+export interface ImageReport {
+  /** PNG and JPEG files under assets/. */
+  images: number;
+  /** Per-image budget in bytes. */
+  budget: number;
+  /** Images over the budget, largest first. */
+  overBudget: { file: string; size: number }[];
+}
+
+export interface ImageOptimizeResult extends ImageReport {
+  /** Images the package carries smaller: PNGs recompressed losslessly, JPEGs stripped of metadata. */
+  optimized: string[];
+  /** Images whose result came from the cache in .zid/images. */
+  cached: number;
+  savedBytes: number;
+}
+
+export type Locale = 'en' | 'ar';
+
+export interface LocaleReport {
+  /** Distinct `locals.*` keys referenced by the templates and assets/main.js. */
+  referenced: number;
+  missing: Record<Locale, { key: string; references: { file: string; line: number; col: number }[] }[]>;
+  unused: string[];
+  /** Keys whose text is the same in every language. */
+  identical: string[];
+  /** Keys defined twice in the same file; the last one wins. */
+  duplicates: Record<Locale, { key: string; line: number }[]>;
+  /** Keys given placeholders by `fix`. */
+  added: Partial<Record<Locale, string[]>>;
+}
+
+export interface SchemaReport {
+  /** Number of modules/*.twig files checked. */
+  modules: number;
+  /** Malformed schemas, settings read but not defined, select defaults outside their options. */
+  errors: Problem[];
+  /** Settings never read, unknown setting types, ar/en labels with one side blank. */
+  warnings: Problem[];
+}
+
+export interface GeneratedModule {
+  name: string;
+  layout: 'grid' | 'carousel';
+  /** Created files, relative to the working directory. */
+  files: string[];
+  /** Locale keys added to each locals/*.json. */
+  locales: Record<Locale, string[]>;
+  /** Whether layout.twig loads the module's stylesheets; when false they have to be added there by hand. */
+  linked: boolean;
+}
+
+export interface UploadResult {
+  status: 'uploaded' | 'skipped';
+  hash: string;
+  response?: unknown;
+  rollbackOf?: string;
+}
+
+export interface FileChanges {
+  added: string[];
+  modified: string[];
+  removed: string[];
+}
+
+export interface HistoryEntry {
+  id: string;
+  uploadedAt: string;
+  themeId: string;
+  profile: string | null;
+  hash: string;
+  commit: string | null;
+  dirty: boolean;
+  changed: FileChanges;
+  fileHashes: Record<string, string>;
+  rollbackOf?: string;
+  zipPath: string;
+}
+
+export interface PullResult extends FileChanges {
+  /** Where the live package was unpacked; null unless `keepTemp` was set. */
+  tempDir: string | null;
+}
+
+export interface WatchHandle {
+  close(): Promise<void>;
+  /** Settles when watching ends; rejects with a LockError when another process took the lock over. */
+  stopped: Promise<void>;
+}
+
+export interface ZidThemeClient extends EventEmitter {
+  readonly config: ZidConfig;
+  login(options?: { force?: boolean }): Promise<{ account: Record<string, unknown> | null }>;
+  logout(): Promise<{ revoked: boolean; removed: boolean }>;
+  listThemes(): Promise<Theme[]>;
+  validate(): Promise<ValidationResult>;
+  build(): Promise<BuildResult>;
+  checkRtl(): Promise<RtlCheck[]>;
+  checkLocales(options?: { fix?: boolean }): Promise<LocaleReport>;
+  checkImages(): Promise<ImageReport>;
+  optimizeImages(): Promise<ImageOptimizeResult>;
+  checkAssets(): Promise<AssetReport>;
+  checkSchemas(): Promise<SchemaReport>;
+  writeSchemaDocs(options?: { outDir?: string }): Promise<string[]>;
+  generateModule(name: string, options?: {
+    layout?: 'grid' | 'carousel';
+    /** Name shown in the dashboard; defaults to the module name spelled out. */
+    labels?: { en?: string; ar?: string };
+    force?: boolean;
+  }): Promise<GeneratedModule>;
+  packageTheme(options?: { zipPath?: string }): Promise<PackageResult>;
+  uploadTheme(options?: { force?: boolean }): Promise<UploadResult>;
+  history(): Promise<HistoryEntry[]>;
+  rollback(n: number | string): Promise<UploadResult>;
+  pull(options?: { overwrite?: boolean; yes?: boolean; keepTemp?: boolean }): Promise<PullResult>;
+  watch(): Promise<WatchHandle>;
+
+  /**
+   * Events: log, auth, lock, lock.lost, build, validate, zip, upload.start,
+   * upload.retry, upload.result, archive, pull.diff, pull.write, watch.ready,
+   * watch.cycle, watch.cycle.result.
+   */
+  on(event: string, listener: (record: { event: string; [key: string]: unknown }) => void): this;
+}
+
+export function createZidThemeClient(options?: ClientOptions): ZidThemeClient;
+export function clientForConfig(config: ZidConfig): ZidThemeClient;
+export function loadConfig(flags?: Record<string, unknown>, env?: Record<string, string | undefined>, project?: unknown): ZidConfig;
+export function loadAllProfileConfigs(flags?: Record<string, unknown>, env?: Record<string, string | undefined>): ZidConfig[];
+export function listProfiles(project?: unknown): string[];
+
+export const ENVIRONMENTS: Record<string, {
+  baseUrl: string;
+  loginPath: string;
+  postLoginPattern: string | null;
+  apiPrefix: string;
+}>;
+
+export class ZidError extends Error {
+  static kind: string;
+  static exitCode: number;
+  status?: number;
+  data?: unknown;
+}
+export class AuthError extends ZidError {}
+export class ValidationError extends ZidError {}
+export class ThemeNotFoundError extends ZidError {}
+export class NetworkError extends ZidError {}
+export class ServerError extends ZidError {}
+export class LockError extends ZidError {}
+
+export function errorKind(err: unknown): 'auth' | 'validation' | 'theme-not-found' | 'network' | 'server' | 'locked' | 'unknown';
+export function exitCodeFor(err: unknown): number;
@@ -0,0 +1,14 @@
+export { createZidThemeClient, clientForConfig } from './client.js';
+export { loadConfig, loadAllProfileConfigs, listProfiles } from './config.js';
+export { ENVIRONMENTS } from './environments.js';
+export {
+  ZidError,
+  AuthError,
+  ValidationError,
+  ThemeNotFoundError,
+  NetworkError,
+  ServerError,
+  LockError,
+  errorKind,
+  exitCodeFor
+} from './errors.js';
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { LockError } from './errors.js';
+import { writeFileAtomic } from './packager.js';
+import { log } from './log.js';
+
+export const LOCK_HEARTBEAT_MS = 30 * 1000;
+export const LOCK_STALE_MS = 2 * 60 * 1000;
+
+// Locks held by this process, so a watcher's own uploads go through.
+const held = new Map();
+
+// Machine-wide by default, so clones of the theme in different folders still
+// see each other. Point ZID_LOCK_DIR at a shared folder to cover a team.
+export function lockFile(config) {
+  const dir = config.lockDir || path.join(os.tmpdir(), 'zid-theme-locks');
+  return path.join(dir, `${config.themeId}.lock`);
+}
+
+export function readLock(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// A lock is stale when its process is gone (only checkable on the same
+// host) or it has missed its heartbeats.
+export function isStale(lock, now = Date.now()) {
+  if (!lock) return true;
+  if (lock.host === os.hostname() && !processAlive(lock.pid)) return true;
+  return now - Date.parse(lock.heartbeatAt) > LOCK_STALE_MS;
+}
+
+export function describeLock(lock) {
+  return `${lock.user}@${lock.host} (pid ${lock.pid}, ${lock.command}) since ${new Date(lock.startedAt).toLocaleString()}`;
+}
+
+// A lock file that cannot be parsed is being written or was cut short; it
+// counts as held until it is as old as a lock that missed its heartbeats.
+function unreadableIsStale(file, now = Date.now()) {
+  try {
+    return now - fs.statSync(file).mtimeMs > LOCK_STALE_MS;
+  } catch {
+    return true;
+  }
+}
+
+// Moves the lock judged stale aside under a name of our own before taking
+// its place, so of several processes replacing it at once only one gets
+// it. When what was moved is not that lock, someone else has just taken
+// over and it goes back.
+function removeReplacedLock(file, replaced, token) {
+  const aside = `${file}.${token}.old`;
+  try {
+    fs.renameSync(file, aside);
+  } catch (err) {
+    if (err.code === 'ENOENT') return true;
+    throw err;
+  }
+  const moved = readLock(aside);
+  if (moved?.token !== replaced?.token) {
+    try {
+      fs.linkSync(aside, file);
+    } catch {}
+    fs.rmSync(aside, { force: true });
+    return false;
+  }
+  fs.rmSync(aside, { force: true });
+  return true;
+}
+
+function writeExclusive(file, lock) {
+  try {
+    fs.writeFileSync(file, JSON.stringify(lock, null, 2), { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  }
+}
+
+// Marks a held lock as lost once another process has replaced it (see
+// --steal-lock), so its holder stops uploading over the new owner.
+function checkOwnership(file, own) {
+  if (own.lost) return false;
+  const current = readLock(file);
+  if (current?.token === own.token) return true;
+  own.lost = new LockError(`The upload lock for theme ${own.themeId} was taken over${current ? ` by ${describeLock(current)}` : ''}`);
+  log.warn(`⚠️ ${own.lost.message}`);
+  log.event('lock.lost', { themeId: own.themeId, file });
+  own.onLost?.(own.lost);
+  return false;
+}
+
+// Takes the upload lock for `config.themeId` and returns a function that
+// releases it. Stale locks are replaced with a warning; a live one
+// throws LockError unless `config.stealLock` is set. Taking a lock this
+// process already holds throws LockError once it has been taken over;
+// `onLost` is called as soon as that is noticed.
+export function acquireLock(config, command, { onLost } = {}) {
+  const file = lockFile(config);
+  const own = held.get(file);
+  if (own) {
+    if (!checkOwnership(file, own)) throw own.lost;
+    own.count++;
+    return () => release(file);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const now = new Date().toISOString();
+  const lock = {
+    token: crypto.randomBytes(8).toString('hex'),
+    themeId: config.themeId,
+    pid: process.pid,
+    host: os.hostname(),
+    user: os.userInfo().username,
+    command,
+    cwd: process.cwd(),
+    startedAt: now,
+    heartbeatAt: now
+  };
+
+  if (!writeExclusive(file, lock)) {
+    const current = readLock(file);
+    if (!current && !unreadableIsStale(file) && !config.stealLock) {
+      throw new LockError(`Theme ${config.themeId} is locked, but ${file} could not be read; try again, or pass --steal-lock to take it over`);
+    }
+    if (current && !isStale(current) && !config.stealLock) {
+      throw new LockError(`Theme ${config.themeId} is locked by ${describeLock(current)}; pass --steal-lock to take it over`);
+    }
+    if (current) {
+      log.warn(`⚠️ ${isStale(current) ? 'Replacing stale' : 'Stealing'} upload lock held by ${describeLock(current)}`);
+    }
+    if (!removeReplacedLock(file, current, lock.token) || !writeExclusive(file, lock)) {
+      throw new LockError(`Another process took the lock for theme ${config.themeId} at the same time, try again`);
+    }
+  }
+
+  const entry = { count: 1, token: lock.token, themeId: config.themeId, lost: null, onLost };
+  const heartbeat = setInterval(() => {
+    if (!checkOwnership(file, entry)) {
+      clearInterval(heartbeat);
+      return;
+    }
+    lock.heartbeatAt = new Date().toISOString();
+    // Readers must never see a half-written lock.
+    writeFileAtomic(file, JSON.stringify(lock, null, 2));
+  }, LOCK_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  entry.cleanup = () => {
+    clearInterval(heartbeat);
+    // Leave a lock someone else has stolen in place.
+    if (readLock(file)?.token === lock.token) fs.rmSync(file, { force: true });
+  };
+  process.once('exit', entry.cleanup);
+  held.set(file, entry);
+  log.event('lock', { themeId: config.themeId, file, command });
+  return () => release(file);
+}
+
+function release(file) {
+  const own = held.get(file);
+  if (!own || --own.count > 0) return;
+  held.delete(file);
+  process.removeListener('exit', own.cleanup);
+  own.cleanup();
+}
+
+export async function withLock(config, command, fn) {
+  const unlock = acquireLock(config, command);
+  try {
+    return await fn();
+  } finally {
+    unlock();
+  }
+}
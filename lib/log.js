@@ -0,0 +1,69 @@
+import util from 'util';
+
+export const LOG_LEVELS = ['silent', 'quiet', 'normal', 'verbose'];
+
+// The lowest level at which each kind of message is shown.
+const MIN_LEVEL = { error: 1, warn: 2, info: 2, debug: 3 };
+
+const settings = { level: 2, json: false };
+const listeners = new Set();
+
+export function configureLogger({ level = 'normal', json = false } = {}) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}", expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  settings.level = LOG_LEVELS.indexOf(level);
+  settings.json = Boolean(json);
+}
+
+export function isJsonOutput() {
+  return settings.json;
+}
+
+// Listeners see every message and event whatever the level, as the same
+// records --json prints. Returns a function that removes the listener.
+export function addLogListener(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(record) {
+  for (const listener of listeners) listener(record);
+}
+
+// One JSON object per line on stdout, so CI can read events as they happen.
+function emit(record) {
+  process.stdout.write(`${JSON.stringify({ ts: new Date().toISOString(), ...record })}\n`);
+}
+
+function write(kind, args) {
+  if (listeners.size) notify({ event: 'log', level: kind, message: util.format(...args).trim() });
+  if (settings.level < MIN_LEVEL[kind]) return;
+  if (settings.json) {
+    emit({ event: 'log', level: kind, message: util.format(...args).trim() });
+  } else if (kind === 'error' || kind === 'warn') {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+export const log = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+
+  // What a command exists to print (listings, diffs). Shown even with
+  // --quiet; with --json the command emits the same data as an event.
+  output: (...args) => {
+    if (!settings.json && settings.level > 0) console.log(...args);
+  },
+
+  // Structured events are printed only in --json mode; text mode already
+  // says the same thing through the messages around them.
+  event: (name, data = {}) => {
+    notify({ event: name, ...data });
+    if (settings.json && settings.level > 0) emit({ event: name, ...data });
+  }
+};
@@ -0,0 +1,286 @@
+import http from 'http';
+import crypto from 'crypto';
+import { THEME_NOT_FOUND_MESSAGE } from './errors.js';
+
+export const SESSION_COOKIE = 'zid_session';
+
+const FAILURE_MODES = ['unauthorized', 'validation', 'theme-not-found', 'server-error'];
+
+function parseCookies(header = '') {
+  return Object.fromEntries(
+    header.split(';')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const eq = part.indexOf('=');
+        return [part.slice(0, eq), part.slice(eq + 1)];
+      })
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Just enough multipart parsing to pick out the text fields and file.
+function parseMultipart(body, contentType = '') {
+  const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/)?.slice(1).find(Boolean);
+  const fields = {};
+  const files = {};
+  if (!boundary) return { fields, files };
+
+  const raw = body.toString('latin1');
+  for (const part of raw.split(`--${boundary}`)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+    const headers = part.slice(0, headerEnd);
+    const name = headers.match(/name="([^"]+)"/)?.[1];
+    if (!name) continue;
+    const content = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    const filename = headers.match(/filename="([^"]*)"/)?.[1];
+    if (filename !== undefined) {
+      const data = Buffer.from(content, 'latin1');
+      files[name] = { filename, size: data.length, data };
+    } else {
+      fields[name] = Buffer.from(content, 'latin1').toString('utf-8');
+    }
+  }
+  return { fields, files };
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+// A stand-in for the parts of the Zid dashboard API the uploader talks to.
+// Failures are queued through the /__mock endpoints or `state.fail()` and
+// consumed by the next matching requests.
+// Login goes GET /login (session + XSRF cookies), POST /api/v1/login and,
+// when `otp` is set, POST /api/v1/login/otp. Without `credentials` any
+// email/password pair is accepted.
+export function createMockZidServer({ themes = [], sessionTtl = 3600, credentials = {}, otp } = {}) {
+  const state = {
+    themes: themes.map(theme => ({ status: 'draft', created_at: new Date().toISOString(), ...theme })),
+    sessions: new Map(),
+    uploads: [],
+    packages: new Map(),
+    failures: [],
+
+    openSession(authenticated) {
+      const session = crypto.randomBytes(16).toString('hex');
+      const xsrf = crypto.randomBytes(16).toString('base64');
+      const expires = Math.floor(Date.now() / 1000) + sessionTtl;
+      state.sessions.set(session, { xsrf, expires, authenticated });
+      return { session, xsrf, expires };
+    },
+
+    createSession() {
+      const { session, xsrf, expires } = state.openSession(true);
+      return [
+        { name: SESSION_COOKIE, value: session, path: '/', expires, httpOnly: true, secure: false },
+        { name: 'XSRF-TOKEN', value: encodeURIComponent(xsrf), path: '/', expires, httpOnly: false, secure: false }
+      ];
+    },
+
+    expireSessions() {
+      for (const session of state.sessions.values()) session.expires = 0;
+    },
+
+    fail(mode, times = 1) {
+      if (!FAILURE_MODES.includes(mode)) {
+        throw new Error(`Unknown failure mode "${mode}", expected one of ${FAILURE_MODES.join(', ')}`);
+      }
+      state.failures.push(...Array(times).fill(mode));
+    }
+  };
+
+  const takeFailure = allowed => {
+    const index = state.failures.findIndex(mode => allowed.includes(mode));
+    return index === -1 ? null : state.failures.splice(index, 1)[0];
+  };
+
+  const sessionFor = req => {
+    const cookies = parseCookies(req.headers.cookie);
+    const session = state.sessions.get(cookies[SESSION_COOKIE]);
+    if (!session || session.expires * 1000 <= Date.now()) return null;
+    const xsrfMatches = req.headers['x-xsrf-token'] === session.xsrf
+      && decodeURIComponent(cookies['XSRF-TOKEN'] || '') === session.xsrf;
+    return xsrfMatches ? session : null;
+  };
+
+  const authenticate = req => Boolean(sessionFor(req)?.authenticated);
+
+  const readJson = async req => JSON.parse((await readBody(req)).toString() || '{}');
+
+  const guard = (req, res) => {
+    if (takeFailure(['unauthorized']) || !authenticate(req)) {
+      sendJson(res, 401, { message: 'Unauthenticated.' });
+      return false;
+    }
+    if (takeFailure(['server-error'])) {
+      sendJson(res, 500, { message: 'Server Error' });
+      return false;
+    }
+    return true;
+  };
+
+  const routes = [
+    ['GET', /^\/login$/, (req, res) => {
+      const { session, xsrf } = state.openSession(false);
+      res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Set-Cookie': [
+          `${SESSION_COOKIE}=${session}; Path=/; Max-Age=${sessionTtl}; HttpOnly`,
+          `XSRF-TOKEN=${encodeURIComponent(xsrf)}; Path=/; Max-Age=${sessionTtl}`
+        ]
+      });
+      res.end('<!doctype html><title>Mock Zid login</title>');
+    }],
+    ['POST', /^\/api\/v1\/login$/, async (req, res) => {
+      const session = sessionFor(req);
+      if (!session) {
+        sendJson(res, 419, { message: 'CSRF token mismatch.' });
+        return;
+      }
+      const { email, password } = await readJson(req);
+      const valid = email && password
+        && (!credentials.email || credentials.email === email)
+        && (!credentials.password || credentials.password === password);
+      if (!valid) {
+        sendJson(res, 422, { status: 'error', message: 'These credentials do not match our records.' });
+        return;
+      }
+      if (otp) {
+        session.pendingOtp = true;
+        sendJson(res, 200, { status: 'success', otp_required: true });
+        return;
+      }
+      session.authenticated = true;
+      sendJson(res, 200, { status: 'success' });
+    }],
+    ['POST', /^\/api\/v1\/login\/otp$/, async (req, res) => {
+      const session = sessionFor(req);
+      if (!session?.pendingOtp) {
+        sendJson(res, 419, { message: 'Login session expired.' });
+        return;
+      }
+      if ((await readJson(req)).otp !== otp) {
+        sendJson(res, 422, { status: 'error', message: 'Invalid code.' });
+        return;
+      }
+      session.pendingOtp = false;
+      session.authenticated = true;
+      sendJson(res, 200, { status: 'success' });
+    }],
+
+    ['POST', /^\/api\/v1\/logout$/, (req, res) => {
+      const cookies = parseCookies(req.headers.cookie);
+      if (!sessionFor(req)) {
+        sendJson(res, 401, { message: 'Unauthenticated.' });
+        return;
+      }
+      state.sessions.delete(cookies[SESSION_COOKIE]);
+      sendJson(res, 200, { status: 'success' });
+    }],
+
+    ['POST', /^\/__mock\/session$/, (req, res) => sendJson(res, 200, state.createSession())],
+    ['POST', /^\/__mock\/expire$/, (req, res) => {
+      state.expireSessions();
+      sendJson(res, 200, { status: 'success' });
+    }],
+    ['POST', /^\/__mock\/fail$/, async (req, res) => {
+      const { mode, times } = await readJson(req);
+      try {
+        state.fail(mode, times);
+        sendJson(res, 200, { status: 'success', queued: state.failures });
+      } catch (err) {
+        sendJson(res, 400, { status: 'error', message: err.message });
+      }
+    }],
+    ['GET', /^\/__mock\/uploads$/, (req, res) => sendJson(res, 200, state.uploads)],
+
+    ['GET', /^\/api\/v1\/account$/, (req, res) => {
+      if (!guard(req, res)) return;
+      sendJson(res, 200, { status: 'success', data: { id: 1, name: 'Mock Partner', email: 'partner@example.com' } });
+    }],
+    ['GET', /^\/api\/v1\/themes$/, (req, res) => {
+      if (!guard(req, res)) return;
+      sendJson(res, 200, { status: 'success', data: state.themes });
+    }],
+    ['GET', /^\/api\/v1\/themes\/([^/]+)\/download$/, (req, res, [, id]) => {
+      if (!guard(req, res)) return;
+      const pkg = state.packages.get(id);
+      if (!state.themes.some(t => t.id === id) || !pkg) {
+        sendJson(res, 404, { status: 'error', message: THEME_NOT_FOUND_MESSAGE });
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${id}.zip"`,
+        'Content-Length': pkg.length
+      });
+      res.end(pkg);
+    }],
+    ['POST', /^\/api\/v1\/themes\/([^/]+)\/update$/, async (req, res, [, id]) => {
+      const body = await readBody(req);
+      if (!guard(req, res)) return;
+
+      const theme = state.themes.find(t => t.id === id);
+      if (!theme || takeFailure(['theme-not-found'])) {
+        sendJson(res, 200, { status: 'error', message: THEME_NOT_FOUND_MESSAGE });
+        return;
+      }
+      if (takeFailure(['validation'])) {
+        sendJson(res, 200, { status: 'error', message: 'The file must be a valid theme archive.' });
+        return;
+      }
+
+      const { fields, files } = parseMultipart(body, req.headers['content-type']);
+      if (!files.file) {
+        sendJson(res, 200, { status: 'error', message: 'The file field is required.' });
+        return;
+      }
+      const upload = { themeId: id, name: fields.name, code: fields.code, size: files.file.size, at: new Date().toISOString() };
+      state.uploads.push(upload);
+      state.packages.set(id, files.file.data);
+      theme.updated_at = upload.at;
+      sendJson(res, 200, { status: 'success', data: { ...theme } });
+    }]
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    for (const [method, pattern, handler] of routes) {
+      const match = pathname.match(pattern);
+      if (match && req.method === method) {
+        try {
+          await handler(req, res, match);
+        } catch (err) {
+          sendJson(res, 500, { message: err.message });
+        }
+        return;
+      }
+    }
+    sendJson(res, 404, { message: 'Not Found' });
+  });
+
+  return {
+    server,
+    state,
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
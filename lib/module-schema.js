@@ -0,0 +1,53 @@
+import { tokenizeTwig } from './twig-syntax.js';
+
+const SCHEMA_BLOCK = /\{%[-~]?\s*schema\s*[-~]?%\}[\s\S]*?\{%[-~]?\s*endschema\s*[-~]?%\}/g;
+
+// Returns the parsed `{% schema %}` JSON of a template, or the parse error.
+export function extractSchema(source) {
+  const { tokens } = tokenizeTwig(source);
+  const token = tokens.find(t => t.type === 'tag' && t.name === 'schema');
+  if (!token) return null;
+  try {
+    return { schema: JSON.parse(token.body), index: token.start, bodyStart: token.bodyStart, raw: token.body };
+  } catch (err) {
+    return { schema: null, index: token.start, bodyStart: token.bodyStart, raw: token.body, error: err };
+  }
+}
+
+// Blanks out the schema block while keeping line numbers intact, so Twig
+// engines that do not know the tag can still compile the template.
+export function stripSchema(source) {
+  return source.replace(SCHEMA_BLOCK, block => block.replace(/[^\n]/g, ''));
+}
+
+function defaultFor(setting) {
+  if ('default' in setting) return setting.default;
+  if (setting.type === 'checkbox') return false;
+  if (setting.type === 'list' || setting.type === 'products') return [];
+  return null;
+}
+
+// Fieldsets are exposed to Twig flattened, e.g. `announcement_bar.news`
+// becomes `settings.announcement_bar_news`.
+function flattenDefaults(settings, prefix, out) {
+  for (const [key, setting] of Object.entries(settings || {})) {
+    const name = prefix + key;
+    if (setting.type === 'fieldset') {
+      flattenDefaults(setting.settings, `${name}_`, out);
+    } else {
+      out[name] = defaultFor(setting);
+    }
+  }
+  return out;
+}
+
+// Module, header and footer schemas have a single `settings` map; the layout
+// schema is a map of named groups whose keys are prefixed with the group name.
+export function schemaDefaults(schema) {
+  if (!schema) return {};
+  if (schema.settings) return flattenDefaults(schema.settings, '', {});
+  return Object.entries(schema).reduce(
+    (out, [group, section]) => flattenDefaults(section?.settings, `${group}_`, out),
+    {}
+  );
+}
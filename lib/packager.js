@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import picomatch from 'picomatch';
+import { createZipBuffer } from './zip.js';
+
+export const IGNORE_FILE = '.zidignore';
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+// Parses gitignore-style rules: `#` comments, `!` negation, a trailing `/`
+// for directories and a leading `/` (or any inner `/`) to anchor at the root.
+export function loadIgnoreRules(folder) {
+  const file = path.join(folder, IGNORE_FILE);
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf-8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = negate ? line.slice(1) : line;
+      const dirOnly = pattern.endsWith('/');
+      if (dirOnly) pattern = pattern.slice(0, -1);
+      const anchored = pattern.includes('/');
+      if (pattern.startsWith('/')) pattern = pattern.slice(1);
+      return {
+        negate,
+        dirOnly,
+        match: picomatch(pattern, { dot: true, basename: !anchored })
+      };
+    });
+}
+
+export function isIgnored(relPath, rules) {
+  const parts = relPath.split('/');
+  let ignored = false;
+  for (const rule of rules) {
+    const hit = parts.some((_, i) => {
+      const candidate = parts.slice(0, i + 1).join('/');
+      const isDir = i < parts.length - 1;
+      if (rule.dirOnly && !isDir) return false;
+      return rule.match(candidate);
+    });
+    if (hit) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+export function collectThemeFiles(folder) {
+  const rules = loadIgnoreRules(folder);
+  const files = [];
+
+  const walk = dir => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      const rel = toPosix(path.relative(folder, full));
+      if (rel === IGNORE_FILE || isIgnored(rel, rules)) continue;
+      if (dirent.isDirectory()) {
+        walk(full);
+      } else if (dirent.isFile()) {
+        files.push({ path: rel, data: fs.readFileSync(full) });
+      }
+    }
+  };
+
+  walk(folder);
+  return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+// Writes next to the target and renames over it, so an editor or the
+// dashboard never sees a half-written zip.
+export function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+export function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// `exclude` lists theme-relative paths to leave out, on top of .zidignore;
+// `rewrite` gets the collected `{ path, data }` list and returns the one to
+// zip, for changes that belong in the package but not in the folder.
+export function packageTheme({ folder, zipPath, exclude = [], rewrite = files => files }) {
+  if (!fs.existsSync(folder)) {
+    throw new Error(`Theme folder not found: ${folder}`);
+  }
+  const files = rewrite(collectThemeFiles(folder).filter(file => !exclude.includes(file.path)));
+  const buffer = createZipBuffer(files);
+  writeFileAtomic(zipPath, buffer);
+  return {
+    zipPath,
+    files: files.map(f => f.path),
+    fileHashes: Object.fromEntries(files.map(f => [f.path, sha256(f.data)])),
+    size: buffer.length,
+    hash: sha256(buffer)
+  };
+}
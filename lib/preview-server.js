@@ -0,0 +1,337 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import Twig from 'twig';
+import chokidar from 'chokidar';
+import { stripSchema, extractSchema, schemaDefaults } from './module-schema.js';
+import { PLATFORM_PARTIALS, resolveTemplate } from './validator.js';
+import { rewriteDevLinks, readSourceStyle } from './build.js';
+import { log } from './log.js';
+
+const ASSET_URL = '/assets/';
+const RELOAD_PATH = '/__preview/reload';
+const LANGS = ['ar', 'en'];
+const REQUEST_KEY = '__previewRequest';
+
+const MIME_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject'
+};
+
+// Stand-ins for the partials Zid renders on its side.
+const PLATFORM_STUBS = {
+  'logo.twig': '<img src="{{ store.logo }}" alt="{{ store.name }}" width="{{ width }}" height="{{ height }}">',
+  'scripts.twig': ''
+};
+
+const RELOAD_SCRIPT = `<script>
+(function () {
+  var source = new EventSource('${RELOAD_PATH}');
+  source.onmessage = function () { location.reload(); };
+})();
+</script>`;
+
+// Covers the PHP date() letters the theme passes to datetimeFormat().
+function formatDate(value, format, lang) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value ?? '';
+  const pad = n => String(n).padStart(2, '0');
+  const hours12 = date.getHours() % 12 || 12;
+  const pm = date.getHours() >= 12;
+  const parts = {
+    d: pad(date.getDate()),
+    j: String(date.getDate()),
+    m: pad(date.getMonth() + 1),
+    n: String(date.getMonth() + 1),
+    Y: String(date.getFullYear()),
+    H: pad(date.getHours()),
+    G: String(date.getHours()),
+    g: String(hours12),
+    h: pad(hours12),
+    i: pad(date.getMinutes()),
+    s: pad(date.getSeconds()),
+    A: lang === 'ar' ? (pm ? 'م' : 'ص') : (pm ? 'PM' : 'AM')
+  };
+  return String(format).replace(/[djmnYHGghisA]/g, ch => parts[ch]);
+}
+
+function listTemplates(folder) {
+  const out = [];
+  const walk = dir => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) walk(full);
+      else if (dirent.name.endsWith('.twig')) out.push(path.relative(folder, full).split(path.sep).join('/'));
+    }
+  };
+  walk(folder);
+  return out.sort();
+}
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Compiles every template into a fresh Twig instance, registered both by its
+// path inside the theme and by the bare name includes use to reach it.
+function buildEnvironment(folder) {
+  const twig = Twig.factory();
+
+  twig.extendFunction('include', function (name, vars = {}) {
+    return this.template.importFile(name).render({ ...this.context, ...vars }, { isInclude: true });
+  });
+  twig.extendFunction('assetUrl', name => ASSET_URL + name);
+  twig.extendFunction('strReplace', (search, replace, subject) => String(subject ?? '').split(search).join(replace));
+  twig.extendFunction('imageUrl', url => url || '');
+  twig.extendFunction('rangeN', (from, to) => {
+    const out = [];
+    for (let n = Number(from); n <= Number(to); n++) out.push(n);
+    return out;
+  });
+  twig.extendFunction('datetimeFormat', (value, format, lang) => formatDate(value, format, lang));
+  twig.extendFunction('requestUri', function () {
+    const url = this.context[REQUEST_KEY];
+    return url ? url.pathname + url.search : '/';
+  });
+  twig.extendFunction('requestGet', function (key) {
+    return this.context[REQUEST_KEY]?.searchParams.get(key) ?? null;
+  });
+  twig.extendFunction('requestAdd', function (params = {}) {
+    const url = new URL(this.context[REQUEST_KEY] || 'http://localhost/');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.pathname + url.search;
+  });
+
+  const registered = new Set();
+  const register = (id, data) => {
+    registered.add(id);
+    twig.twig({ id, data, allowInlineIncludes: true, rethrow: true });
+  };
+
+  const templates = listTemplates(folder);
+  const sources = {};
+  const schemas = {};
+  for (const rel of templates) {
+    const source = fs.readFileSync(path.join(folder, rel), 'utf-8');
+    sources[rel] = stripSchema(source);
+    schemas[rel] = extractSchema(source)?.schema || null;
+    register(rel, sources[rel]);
+  }
+
+  for (const rel of templates) {
+    const name = path.posix.basename(rel);
+    if (!registered.has(name) && resolveTemplate(folder, name) === path.join(folder, rel)) {
+      register(name, sources[rel]);
+    }
+  }
+
+  const stubbed = new Set([...PLATFORM_PARTIALS, ...Object.keys(PLATFORM_STUBS)]);
+  for (const name of stubbed) {
+    if (!registered.has(name)) register(name, PLATFORM_STUBS[name] ?? `<!-- ${name} is rendered by Zid -->`);
+  }
+  for (const rel of templates) {
+    for (const match of sources[rel].matchAll(/['"](template_for_[a-z_]+)['"]/g)) {
+      if (!registered.has(match[1])) register(match[1], `<!-- ${match[1]} is rendered by Zid -->`);
+    }
+  }
+
+  return { twig, templates, schemas };
+}
+
+function loadFixtures(fixturesDir) {
+  const fixtures = {};
+  if (!fs.existsSync(fixturesDir)) return fixtures;
+  for (const file of fs.readdirSync(fixturesDir)) {
+    if (file.endsWith('.json')) {
+      fixtures[path.basename(file, '.json')] = readJson(path.join(fixturesDir, file));
+    }
+  }
+  return fixtures;
+}
+
+function renderModules(env, context, entries) {
+  return entries.map((entry, index) => {
+    const rel = `modules/${entry.module}.twig`;
+    if (!env.templates.includes(rel)) {
+      return `<!-- unknown module "${entry.module}" -->`;
+    }
+    const settings = { ...schemaDefaults(env.schemas[rel]), ...entry.settings };
+    const template = env.twig.twig({ ref: rel });
+    return template.render({ ...context, settings, sectionId: `preview-${index + 1}` });
+  }).join('\n');
+}
+
+function buildContext(env, { folder, fixturesDir, lang, url }) {
+  const { store = {}, session = {}, settings = {}, modules, ...rest } = loadFixtures(fixturesDir);
+  const globalDefaults = ['layout.twig', 'header.twig', 'footer.twig']
+    .reduce((out, rel) => ({ ...out, ...schemaDefaults(env.schemas[rel]) }), {});
+
+  const context = {
+    ...rest,
+    store,
+    session: { ...session, lang: { ...session.lang, code: lang } },
+    settings: { ...globalDefaults, ...settings },
+    locals: readJson(path.join(folder, 'locals', `${lang}.json`), {}),
+    asset_url: ASSET_URL,
+    [REQUEST_KEY]: url
+  };
+
+  const entries = modules || env.templates
+    .filter(rel => rel.startsWith('modules/'))
+    .map(rel => ({ module: path.posix.basename(rel, '.twig') }));
+  context.home_template_modules = renderModules(env, context, entries);
+  return context;
+}
+
+function resolvePage(env, pathname) {
+  const name = pathname.replace(/^\/+|\/+$/g, '') || 'home';
+  if (name === 'layout') return 'layout.twig';
+  const rel = `templates/${name}.twig`;
+  return env.templates.includes(rel) ? rel : null;
+}
+
+function injectReload(html) {
+  return html.includes('</body>') ? html.replace('</body>', `${RELOAD_SCRIPT}\n</body>`) : html + RELOAD_SCRIPT;
+}
+
+function errorPage(title, err) {
+  const message = String(err?.stack || err?.message || err).replace(/[&<>]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[ch]));
+  return injectReload(`<!doctype html><html><body style="font-family:monospace;padding:2rem"><h1>${title}</h1><pre>${message}</pre></body></html>`);
+}
+
+// Malformed escapes such as `%E0%A4` make decodeURIComponent throw.
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+}
+
+function serveStatic(res, root, pathname) {
+  const decoded = decodePath(pathname);
+  if (decoded === null) {
+    res.writeHead(400).end('Bad request');
+    return;
+  }
+  const file = path.join(root, decoded);
+  if (!file.startsWith(root + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+  fs.createReadStream(file).pipe(res);
+}
+
+export function startPreviewServer({ folder, fixturesDir, sourceAssets, port = 4000, lang: defaultLang }) {
+  let env = null;
+  let buildError = null;
+  const clients = new Set();
+
+  const rebuild = () => {
+    try {
+      env = buildEnvironment(folder);
+      buildError = null;
+    } catch (err) {
+      buildError = err;
+      log.error('❌ Template error:', err.message);
+    }
+  };
+  rebuild();
+
+  const watcher = chokidar.watch([folder, fixturesDir, sourceAssets].filter(Boolean), { ignoreInitial: true });
+  let rebuildTimer = null;
+  watcher.on('all', (evt, file) => {
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(() => {
+      log.info(`🔄 ${path.relative(process.cwd(), file)} changed, reloading preview`);
+      rebuild();
+      clients.forEach(client => client.write('data: reload\n\n'));
+    }, 100);
+  });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname === RELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    // Source stylesheets are served straight from the root assets folder,
+    // so edits show up unminified, and RTL twins generated, without a build.
+    if (url.pathname.startsWith(ASSET_URL)) {
+      const name = decodePath(url.pathname.slice(ASSET_URL.length));
+      if (name === null) {
+        res.writeHead(400).end('Bad request');
+        return;
+      }
+      const style = sourceAssets && /^[^/\\]+\.css$/.test(name) ? readSourceStyle(sourceAssets, name) : null;
+      if (style !== null) {
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.css'] }).end(style);
+        return;
+      }
+      serveStatic(res, path.join(folder, 'assets'), url.pathname.slice(ASSET_URL.length));
+      return;
+    }
+
+    const cookieLang = (req.headers.cookie || '').match(/(?:^|;\s*)preview_lang=(ar|en)/)?.[1];
+    const queryLang = LANGS.includes(url.searchParams.get('lang')) ? url.searchParams.get('lang') : null;
+    const lang = queryLang || cookieLang || defaultLang || 'ar';
+    const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+    if (queryLang) headers['Set-Cookie'] = `preview_lang=${queryLang}; Path=/`;
+
+    if (buildError) {
+      res.writeHead(500, headers).end(errorPage('Template failed to compile', buildError));
+      return;
+    }
+
+    const page = resolvePage(env, url.pathname);
+    if (!page) {
+      res.writeHead(404, headers).end(errorPage('No such template', `${url.pathname} does not match a file in templates/`));
+      return;
+    }
+
+    try {
+      const context = buildContext(env, { folder, fixturesDir, lang, url });
+      // Live Server links would need VS Code running; the preview serves them itself.
+      const html = rewriteDevLinks(env.twig.twig({ ref: page }).render(context), file => ASSET_URL + file);
+      res.writeHead(200, headers).end(injectReload(html));
+    } catch (err) {
+      log.error(`❌ Failed to render ${page}:`, err.message);
+      res.writeHead(500, headers).end(errorPage(`Failed to render ${page}`, err));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      resolve({
+        server,
+        url: `http://localhost:${server.address().port}`,
+        close: async () => {
+          clients.forEach(client => client.end());
+          await watcher.close();
+          await new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
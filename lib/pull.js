@@ -0,0 +1,171 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline/promises';
+import { downloadTheme, packageExcludes } from './themes.js';
+import { readZipBuffer } from './zip.js';
+import { collectThemeFiles, loadIgnoreRules, isIgnored, IGNORE_FILE } from './packager.js';
+import { unifiedDiff } from './text-diff.js';
+import { stripFingerprints } from './fingerprint.js';
+import { buildFiles, listSourceStyles, restoreDevLinks } from './build.js';
+import { log } from './log.js';
+
+function isBinary(data) {
+  return data.subarray(0, 8000).includes(0);
+}
+
+// Archives built by zipping the folder itself put everything under one
+// top-level directory; the theme root is what is inside it.
+function stripSharedRoot(entries) {
+  const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+  if (roots.size !== 1 || entries.some(entry => !entry.path.includes('/'))) return entries;
+  const prefix = `${[...roots][0]}/`;
+  return entries.map(entry => ({ ...entry, path: entry.path.slice(prefix.length) }));
+}
+
+// Entry paths come from the server. Checked before anything is written, so
+// an absolute path or a `..` segment cannot reach outside the temp dir or
+// the theme folder.
+function checkEntryPaths(entries) {
+  for (const { path: file } of entries) {
+    const escapes = !file || file.includes('\\') || /^(?:\/|[A-Za-z]:)/.test(file) || file.split('/').includes('..');
+    if (escapes) throw new Error(`Refusing to pull ${JSON.stringify(file)}: the path points outside the theme folder`);
+  }
+}
+
+function unpack(entries, dir) {
+  for (const entry of entries) {
+    const target = path.join(dir, entry.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, entry.data);
+  }
+}
+
+// Compares the live package with the local folder as it would be packaged:
+// built root stylesheets included, pruned assets and other excludes left
+// out. `added` files exist only on Zid, `removed` ones only locally.
+export function compareWithFolder(config, entries) {
+  const folder = config.folderPath;
+  const rules = loadIgnoreRules(folder);
+  const exclude = packageExcludes(config);
+  const local = new Map(buildFiles(config, collectThemeFiles(folder)).files
+    .filter(file => !exclude.includes(file.path))
+    .map(file => [file.path, file.data]));
+  const remote = new Map(entries
+    .filter(entry => entry.path !== IGNORE_FILE && !isIgnored(entry.path, rules))
+    .map(entry => [entry.path, entry.data]));
+
+  const sorted = keys => [...keys].sort();
+  return {
+    exclude,
+    local,
+    remote,
+    added: sorted(remote.keys()).filter(file => !local.has(file)),
+    removed: sorted(local.keys()).filter(file => !remote.has(file)),
+    modified: sorted(remote.keys()).filter(file => local.has(file) && !local.get(file).equals(remote.get(file)))
+  };
+}
+
+function printFileDiff(file, before, after) {
+  log.output(`\n--- local/${file}\n+++ zid/${file}`);
+  if (isBinary(before) || isBinary(after)) {
+    log.output(`Binary files differ (${before.length} → ${after.length} bytes)`);
+    return;
+  }
+  unifiedDiff(before.toString('utf-8'), after.toString('utf-8')).forEach(line => log.output(line));
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    throw new Error('Confirmation needed; pass --yes to overwrite when no terminal is attached');
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+// Uploads add content hashes to asset URLs (see fingerprint.js); they are
+// taken out again so the live templates compare equal to the local ones.
+function withoutFingerprints(entries) {
+  return entries.map(entry => (entry.path.endsWith('.twig')
+    ? { ...entry, data: Buffer.from(stripFingerprints(entry.data.toString('utf-8'))) }
+    : entry));
+}
+
+// Where a file of the built package comes from, so overwriting it edits the
+// source the next build reads: root stylesheets go back to the assets
+// folder and templates get their Live Server links back. Files the build
+// generates or the package leaves out have no source to write; `reason`
+// says why.
+function sourceFor(config, diff, file) {
+  const data = diff.remote.get(file);
+  const name = file.slice('assets/'.length);
+  if (file.startsWith('assets/') && listSourceStyles(config).includes(name)) {
+    const target = path.join(config.assetsPath, name);
+    if (!fs.existsSync(target)) return { reason: `the build generates it from ${name.replace(/\.rtl\.css$/, '.ltr.css')}` };
+    return { target, data };
+  }
+  if (diff.exclude.includes(file)) return { reason: 'the local package leaves it out' };
+  const target = path.join(config.folderPath, file);
+  if (file.endsWith('.twig') && fs.existsSync(target)) {
+    return { target, data: Buffer.from(restoreDevLinks(data.toString('utf-8'), fs.readFileSync(target, 'utf-8'))) };
+  }
+  return { target, data };
+}
+
+// Downloads the live theme and prints what differs from the local folder.
+// With `overwrite`, files that are new or changed on Zid are written back to
+// their sources (see sourceFor()); files that only exist locally are kept. The package is compared in
+// memory; `keepTemp` also unpacks it to a temp dir to inspect, and only then
+// does the result carry its `tempDir`.
+export async function pullTheme(config, { overwrite = false, yes = false, keepTemp = false } = {}) {
+  log.info(`📥 Downloading theme ${config.themeId}…`);
+  const entries = withoutFingerprints(stripSharedRoot(readZipBuffer(await downloadTheme(config))));
+  checkEntryPaths(entries);
+  let tempDir = null;
+  if (keepTemp) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zid-pull-'));
+    unpack(entries, tempDir);
+    log.info(`✅ Unpacked ${entries.length} files to`, tempDir);
+  }
+
+  const diff = { ...compareWithFolder(config, entries), tempDir };
+  const changed = diff.added.length + diff.modified.length;
+  log.event('pull.diff', { themeId: config.themeId, tempDir: diff.tempDir, added: diff.added, removed: diff.removed, modified: diff.modified });
+  if (!changed && !diff.removed.length) {
+    log.info('✅ The local folder matches the live theme');
+    return diff;
+  }
+
+  diff.added.forEach(file => log.output(`+ ${file} (only on Zid)`));
+  diff.removed.forEach(file => log.output(`- ${file} (only local)`));
+  diff.modified.forEach(file => log.output(`~ ${file}`));
+  diff.modified.forEach(file => printFileDiff(file, diff.local.get(file), diff.remote.get(file)));
+  log.info(`\n📋 ${diff.modified.length} changed, ${diff.added.length} only on Zid, ${diff.removed.length} only local`);
+
+  if (!overwrite || !changed) return diff;
+  if (!yes && !(await confirm(`⚠️ Overwrite ${changed} local file(s) with the live version?`))) {
+    log.info('ℹ️ Local files left untouched');
+    return diff;
+  }
+  const written = [];
+  const skipped = [];
+  for (const file of [...diff.added, ...diff.modified]) {
+    const { target, data, reason } = sourceFor(config, diff, file);
+    if (!target) {
+      log.warn(`⚠️ Not writing ${file}: ${reason}`);
+      skipped.push(file);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+    written.push(path.relative(process.cwd(), target).split(path.sep).join('/'));
+  }
+  log.info(`✅ Wrote ${written.length} file(s)${skipped.length ? `, skipped ${skipped.length}` : ''}`);
+  written.forEach(file => log.debug('   ', file));
+  log.event('pull.write', { files: written, skipped });
+  return diff;
+}
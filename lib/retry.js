@@ -0,0 +1,36 @@
+import { AuthError, NetworkError, ServerError, classifyError } from './errors.js';
+
+export const DEFAULT_RETRY = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 15000 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+// Runs `fn(attempt)` until it succeeds or the attempts run out. Network and
+// server errors back off and retry; an auth error is retried once, after
+// `onAuthError` has had a chance to log in again. Anything else is final.
+export async function withRetry(fn, { onAuthError, onRetry, ...options } = {}) {
+  const policy = { ...DEFAULT_RETRY, ...options };
+  let reauthenticated = false;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (thrown) {
+      const err = classifyError(thrown);
+      const transient = err instanceof NetworkError || err instanceof ServerError;
+      const canReauth = err instanceof AuthError && !reauthenticated && onAuthError;
+      if (attempt >= policy.maxAttempts || !(transient || canReauth)) throw err;
+
+      const delay = transient ? backoffDelay(attempt, policy) : 0;
+      onRetry?.(err, attempt, delay);
+      if (canReauth) {
+        reauthenticated = true;
+        await onAuthError(err);
+      }
+      if (delay) await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,199 @@
+// Generates the RTL twin of an LTR stylesheet by mirroring every horizontal
+// property and value. Comment directives, as in RTLCSS, handle the cases a
+// mechanical flip gets wrong:
+//
+//   /*rtl:ignore*/                      before a declaration or a rule: keep it as is
+//   /*rtl:begin:ignore*/ … /*rtl:end:ignore*/   keep everything in between
+//   left: 10px /*rtl:auto*/;            use `auto` as the RTL value
+//   /*rtl:raw:.x{float:none}*/          only emit this CSS in the RTL file
+
+const DIRECTIVE = /^\/\*\s*rtl:([\s\S]*?)\s*\*\/$/;
+
+const FOUR_SIDED = new Set([
+  'margin', 'padding', 'border-width', 'border-style', 'border-color', 'inset',
+  'scroll-margin', 'scroll-padding'
+]);
+const SHADOWS = new Set(['box-shadow', 'text-shadow']);
+// Mirroring negates the horizontal offset and every angle turning through
+// the x axis; rotateX() is its own mirror image.
+const NEGATED_TRANSFORMS = /\b(translateX|translate|translate3d|rotate|rotateY|rotateZ|skewX|skewY)\(([^(),]*(?:\([^()]*\))?[^(),]*)/gi;
+const SKEW = /\bskew\(([^()]*(?:\([^()]*\))?[^()]*)\)/gi;
+
+function swapSide(word) {
+  const lower = word.toLowerCase();
+  return lower === 'left' ? 'right' : lower === 'right' ? 'left' : word;
+}
+
+export function flipProperty(prop) {
+  return prop.split('-').map(swapSide).join('-');
+}
+
+// Splits on `separator` outside brackets and quotes.
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of value) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (!depth && separator.test(ch)) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+const words = value => splitTopLevel(value.trim(), /\s/).filter(Boolean);
+
+function negate(value) {
+  const v = value.trim();
+  if (/^[-+]?(\d+\.?\d*|\.\d+)[a-z%]*$/i.test(v)) {
+    if (/^[-+]?0*\.?0*[a-z%]*$/i.test(v)) return v;
+    return v.startsWith('-') ? v.slice(1) : `-${v.replace(/^\+/, '')}`;
+  }
+  if (/^(var|calc|min|max|clamp)\(/i.test(v)) return `calc(-1 * ${v})`;
+  return v;
+}
+
+function flipRadius(value) {
+  return splitTopLevel(value, /\//).map(side => {
+    const parts = words(side);
+    if (parts.length < 2) return side;
+    const [a, b, c = a, d = b] = parts;
+    return ` ${[b, a, d, c].join(' ')} `;
+  }).join('/').trim();
+}
+
+function flipShadow(value) {
+  return splitTopLevel(value, /,/).map(shadow => {
+    const parts = words(shadow);
+    const x = parts.findIndex(part => part !== 'inset' && /^[-+]?[\d.]|^(var|calc)\(/i.test(part));
+    if (x !== -1) parts[x] = negate(parts[x]);
+    return parts.join(' ');
+  }).join(', ');
+}
+
+// `left`/`right` as whole words, outside url() and strings.
+function swapKeywords(value) {
+  return value.replace(/(url\([^)]*\)|"[^"]*"|'[^']*')|(?<![-\w])(left|right)(?![-\w])/gi,
+    (match, skipped, side) => skipped || swapSide(side));
+}
+
+export function flipValue(prop, value) {
+  const name = prop.toLowerCase().replace(/^-[a-z]+-/, '');
+  if (name === 'direction') return value.replace(/\b(ltr|rtl)\b/gi, dir => (dir.toLowerCase() === 'ltr' ? 'rtl' : 'ltr'));
+  if (name === 'cursor') return value.replace(/\b(n|s)?(e|w)-resize\b/gi, (_, ns = '', ew) => `${ns}${ew === 'e' ? 'w' : 'e'}-resize`);
+  if (FOUR_SIDED.has(name)) {
+    const parts = words(value);
+    return parts.length === 4 ? [parts[0], parts[3], parts[2], parts[1]].join(' ') : value;
+  }
+  if (name === 'border-radius') return flipRadius(value);
+  if (SHADOWS.has(name)) return flipShadow(value);
+  if (name === 'transform') {
+    return value
+      .replace(NEGATED_TRANSFORMS, (_, fn, first) => `${fn}(${negate(first)}`)
+      .replace(SKEW, (_, args) => `skew(${splitTopLevel(args, /,/).map(negate).join(', ')})`);
+  }
+  if (name === 'background-position' || name === 'background-position-x') {
+    const flipped = splitTopLevel(value, /,/).map(layer => {
+      const parts = words(layer);
+      const percent = parts[0]?.match(/^(-?[\d.]+)%$/);
+      if (percent) parts[0] = `${+(100 - Number(percent[1])).toFixed(4)}%`;
+      return parts.join(' ');
+    }).join(', ');
+    return swapKeywords(flipped);
+  }
+  return swapKeywords(value);
+}
+
+// Custom properties are left alone: nothing says how their values are used.
+function flipDeclaration(text, override) {
+  const match = text.match(/^(\s*)([-\w]+)(\s*:\s*)([\s\S]*?)(\s*!\s*important)?(\s*)$/i);
+  if (!match || match[2].startsWith('--')) return text;
+  const [, lead, prop, colon, value, important = '', trail] = match;
+  const flipped = override !== undefined ? override : flipValue(prop, value);
+  return `${lead}${flipProperty(prop)}${colon}${flipped}${important}${trail}`;
+}
+
+export function flipCss(source) {
+  let out = '';
+  let buffer = '';
+  let depth = 0;
+  let parens = 0;
+  let ignoreBelow = null;
+  let ignoreRange = false;
+  let directives = {};
+  let i = 0;
+
+  const flipping = () => !ignoreRange && ignoreBelow === null && !directives.ignore && depth > 0;
+  const endStatement = () => {
+    out += flipping() ? flipDeclaration(buffer, directives.value) : buffer;
+    buffer = '';
+    directives = {};
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      const comment = source.slice(i, stop);
+      const directive = comment.match(DIRECTIVE)?.[1];
+      i = stop;
+      if (directive === undefined) {
+        buffer += comment;
+      } else if (directive === 'ignore') {
+        directives.ignore = true;
+      } else if (directive === 'begin:ignore') {
+        ignoreRange = true;
+      } else if (directive === 'end:ignore') {
+        ignoreRange = false;
+      } else if (directive.startsWith('raw:')) {
+        out += buffer + directive.slice(4);
+        buffer = '';
+      } else {
+        directives.value = directive;
+      }
+    } else if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) j += source[j] === '\\' ? 2 : 1;
+      buffer += source.slice(i, j + 1);
+      i = j + 1;
+    } else {
+      i++;
+      if (ch === '(') parens++;
+      if (ch === ')') parens = Math.max(0, parens - 1);
+      if (parens) {
+        buffer += ch;
+      } else if (ch === '{') {
+        if (directives.ignore && ignoreBelow === null) ignoreBelow = depth;
+        out += `${buffer}{`;
+        buffer = '';
+        directives = {};
+        depth++;
+      } else if (ch === ';') {
+        endStatement();
+        out += ';';
+      } else if (ch === '}') {
+        endStatement();
+        out += '}';
+        depth = Math.max(0, depth - 1);
+        if (ignoreBelow !== null && depth <= ignoreBelow) ignoreBelow = null;
+      } else {
+        buffer += ch;
+      }
+    }
+  }
+  return out + buffer;
+}
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import { extractSchema, stripSchema } from './module-schema.js';
+import { lineAt } from './twig-syntax.js';
+
+export const SETTING_TYPES = [
+  'checkbox', 'color', 'select', 'text', 'textarea', 'image', 'number', 'range', 'url',
+  'video', 'list', 'products', 'category', 'fieldset'
+];
+const LABEL_KEYS = ['name', 'label', 'option', 'info', 'settings_label', 'placeholder'];
+
+// `settings.foo` and `settings['foo']` reads in the template body.
+const SETTING_READ = /\bsettings(?:\.([A-Za-z_]\w*)|\[\s*['"]([^'"]+)['"]\s*\])/g;
+
+export function listModules(folder) {
+  const dir = path.join(folder, 'modules');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(file => file.endsWith('.twig')).sort().map(file => `modules/${file}`);
+}
+
+// Fieldset children reach Twig flattened (`group_child`, see
+// module-schema.js); list and products settings keep their nested items.
+function flattenSettings(settings, prefix = '', out = new Map()) {
+  for (const [key, setting] of Object.entries(settings || {})) {
+    if (setting?.type === 'fieldset') flattenSettings(setting.settings, `${prefix}${key}_`, out);
+    else out.set(prefix + key, { key, setting });
+  }
+  return out;
+}
+
+function findReads(source) {
+  const reads = new Map();
+  for (const match of source.matchAll(SETTING_READ)) {
+    const name = match[1] ?? match[2];
+    if (!reads.has(name)) reads.set(name, match.index);
+  }
+  return reads;
+}
+
+// JSON.parse reports an offset into the schema body; newer Node versions
+// give the line and column instead.
+function jsonErrorIndex(err, extracted) {
+  const position = err.message.match(/at position (\d+)/)?.[1];
+  if (position !== undefined) return extracted.bodyStart + Number(position);
+  const lineCol = err.message.match(/line (\d+) column (\d+)/);
+  if (!lineCol) return extracted.index;
+  const lines = extracted.raw.split('\n').slice(0, Number(lineCol[1]) - 1);
+  return extracted.bodyStart + lines.reduce((sum, line) => sum + line.length + 1, 0) + Number(lineCol[2]) - 1;
+}
+
+// A pair counts as deliberately empty when both languages are blank, as
+// the checkbox labels hidden with `noLabel` are.
+function checkLabels(value, where, report) {
+  if (!value || typeof value !== 'object') return;
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => checkLabels(item, `${where}[${i}]`, report));
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    const at = where ? `${where}.${key}` : key;
+    if (LABEL_KEYS.includes(key) && child && typeof child === 'object' && !Array.isArray(child)) {
+      const blank = lang => typeof child[lang] !== 'string' || !child[lang].trim();
+      const missing = ['ar', 'en'].filter(blank);
+      if (missing.length === 1) {
+        const what = child[missing[0]] === undefined ? 'missing' : 'blank';
+        report(at, `${at} has no ${missing[0] === 'ar' ? 'Arabic' : 'English'} text (${what})`);
+      }
+      continue;
+    }
+    checkLabels(child, at, report);
+  }
+}
+
+function optionValues(setting) {
+  return (setting.options || []).map(option => String(option?.value ?? option));
+}
+
+// Checks one module: errors for malformed JSON, settings the template reads
+// that the schema does not define, and select defaults that are not among
+// their options; warnings for unused settings, unknown types and ar/en
+// pairs with one language missing.
+export function checkModuleSchema(folder, rel) {
+  const source = fs.readFileSync(path.join(folder, rel), 'utf-8');
+  const errors = [];
+  const warnings = [];
+  const at = (list, index, message) => list.push({ file: rel, ...lineAt(source, index), message });
+  const keyIndex = (extracted, key) => {
+    const found = extracted.raw.search(new RegExp(`"${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`));
+    return found === -1 ? extracted.index : extracted.bodyStart + found;
+  };
+
+  const extracted = extractSchema(source);
+  if (!extracted) {
+    errors.push({ file: rel, line: 0, col: 0, message: 'Module has no {% schema %} block' });
+    return { file: rel, schema: null, errors, warnings };
+  }
+  if (extracted.error) {
+    at(errors, jsonErrorIndex(extracted.error, extracted), `Schema is not valid JSON: ${extracted.error.message}`);
+    return { file: rel, schema: null, errors, warnings };
+  }
+
+  const { schema } = extracted;
+  const settings = flattenSettings(schema.settings);
+  const reads = findReads(stripSchema(source));
+
+  for (const [name, index] of reads) {
+    if (!settings.has(name)) at(errors, index, `settings.${name} is read but not defined in the schema`);
+  }
+  for (const [name, { key, setting }] of settings) {
+    if (!reads.has(name)) at(warnings, keyIndex(extracted, key), `Setting "${name}" is never read by the template`);
+    if (setting?.type && !SETTING_TYPES.includes(setting.type)) {
+      at(warnings, keyIndex(extracted, key), `Setting "${name}" has unknown type "${setting.type}"`);
+    }
+    if (setting?.type === 'select' && 'default' in setting && setting.default !== null) {
+      const values = optionValues(setting);
+      if (!values.includes(String(setting.default))) {
+        at(errors, keyIndex(extracted, key), `Default "${setting.default}" of "${name}" is not one of its options (${values.join(', ')})`);
+      }
+    }
+  }
+
+  checkLabels(schema, '', (where, message) => {
+    const key = where.split('.').filter(part => !LABEL_KEYS.includes(part.replace(/\[\d+\]$/, ''))).pop();
+    at(warnings, key && key !== 'settings' ? keyIndex(extracted, key.replace(/\[\d+\]$/, '')) : extracted.index, message);
+  });
+
+  return { file: rel, schema, errors, warnings };
+}
+
+export function checkModuleSchemas(folder) {
+  return listModules(folder).map(rel => checkModuleSchema(folder, rel));
+}
+
+const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+const text = (pair, lang) => (pair && typeof pair === 'object' ? pair[lang] : pair) ?? '';
+// Checkboxes keep a blank label and put their text in `option`.
+const labelOf = (setting, lang) => ['label', 'option', 'settings_label']
+  .map(key => String(text(setting?.[key], lang)).trim())
+  .find(Boolean) ?? '';
+
+function describeDefault(setting) {
+  if (!('default' in setting)) return '';
+  return typeof setting.default === 'object' ? JSON.stringify(setting.default) : String(setting.default);
+}
+
+function settingRows(settings, prefix, rows, { nested } = {}) {
+  for (const [key, setting] of Object.entries(settings || {})) {
+    const name = nested ? `${prefix}${key}` : prefix + key;
+    if (setting?.type === 'fieldset') {
+      settingRows(setting.settings, `${name}_`, rows);
+      continue;
+    }
+    const options = optionValues(setting || {});
+    rows.push([
+      `\`${name}\``,
+      setting?.type ?? '',
+      cell(labelOf(setting, 'en')),
+      cell(labelOf(setting, 'ar')),
+      cell(describeDefault(setting || {})),
+      cell(options.join(', '))
+    ]);
+    if (setting?.type === 'list') settingRows(setting.settings, `${name}[].`, rows, { nested: true });
+  }
+  return rows;
+}
+
+// Markdown reference of a module's settings: how Twig reads each one, its
+// type, labels in both languages, default and allowed values.
+export function moduleSettingsDoc(rel, schema) {
+  const name = path.posix.basename(rel, '.twig');
+  const rows = settingRows(schema.settings, '', []);
+  return [
+    `# ${cell(text(schema.name, 'en')) || name}${text(schema.name, 'ar') ? ` / ${cell(text(schema.name, 'ar'))}` : ''}`,
+    '',
+    `Module \`${rel}\`. Settings are read in Twig as \`settings.<name>\`; items of a list as \`item.<field>\` inside \`{% for item in settings.<list> %}\`.`,
+    '',
+    '| Setting | Type | Label (en) | Label (ar) | Default | Options |',
+    '| --- | --- | --- | --- | --- | --- |',
+    ...rows.map(row => `| ${row.join(' | ')} |`),
+    ''
+  ].join('\n');
+}
+
+// Writes one Markdown file per module with a valid schema into `outDir`.
+export function writeModuleDocs(folder, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+  for (const { file, schema } of checkModuleSchemas(folder)) {
+    if (!schema) continue;
+    const target = path.join(outDir, `${path.posix.basename(file, '.twig')}.md`);
+    fs.writeFileSync(target, moduleSettingsDoc(file, schema));
+    written.push(target);
+  }
+  return written;
+}
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { AuthError } from './errors.js';
+import { log } from './log.js';
+
+export const PASSPHRASE_ENV = 'ZID_SESSION_PASSPHRASE';
+export const KEY_FILE_ENV = 'ZID_SESSION_KEY_FILE';
+
+const FORMAT_VERSION = 1;
+const KEYRING_SERVICE = 'zid-theme';
+const KEYRING_ACCOUNT = 'session-key';
+
+function run(command, args, input) {
+  return execFileSync(command, args, {
+    input,
+    stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'ignore'],
+    timeout: 10000
+  }).toString().trim();
+}
+
+// The macOS keychain and the Secret Service (GNOME Keyring, KWallet) on
+// Linux, through their command line tools. The key goes in on stdin (as a
+// `security -i` command on macOS), never as an argument other users could
+// read from the process list.
+const KEYRINGS = {
+  darwin: {
+    read: () => run('security', ['find-generic-password', '-s', KEYRING_SERVICE, '-a', KEYRING_ACCOUNT, '-w']),
+    write: key => run('security', ['-i'], `add-generic-password -U -s ${KEYRING_SERVICE} -a ${KEYRING_ACCOUNT} -w ${key}\n`)
+  },
+  linux: {
+    read: () => run('secret-tool', ['lookup', 'service', KEYRING_SERVICE, 'account', KEYRING_ACCOUNT]),
+    write: key => run('secret-tool', ['store', '--label=zid-theme session key', 'service', KEYRING_SERVICE, 'account', KEYRING_ACCOUNT], key)
+  }
+};
+
+let keyringKey;
+
+export function keyFilePath(env = process.env) {
+  return env[KEY_FILE_ENV] || path.join(os.homedir(), '.zid-theme', 'session.key');
+}
+
+// Where there is no keyring (Windows, Linux without secret-tool) the key is
+// kept in a file only the current user can read. That protects the session
+// less than a keyring does, so creating it comes with a warning.
+function loadFileKey(env, create) {
+  const file = keyFilePath(env);
+  try {
+    const stored = fs.readFileSync(file, 'utf-8').trim();
+    if (/^[0-9a-f]{64}$/.test(stored)) return Buffer.from(stored, 'hex');
+  } catch {}
+  if (!create) return null;
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, key.toString('hex'), { mode: 0o600 });
+  log.warn(`⚠️ No OS keyring available; the session key is stored in ${file}. Set ${PASSPHRASE_ENV} to use a passphrase instead`);
+  return key;
+}
+
+// Reads the key from the OS keyring, creating one on first use. Resolves
+// to null when there is no usable keyring.
+function loadKeyringKey(create) {
+  if (keyringKey !== undefined) return keyringKey;
+  const keyring = KEYRINGS[process.platform];
+  if (!keyring) return (keyringKey = null);
+  try {
+    const stored = keyring.read();
+    if (/^[0-9a-f]{64}$/.test(stored)) return (keyringKey = Buffer.from(stored, 'hex'));
+  } catch {}
+  if (!create) return null;
+  try {
+    const key = crypto.randomBytes(32);
+    keyring.write(key.toString('hex'));
+    return (keyringKey = key);
+  } catch {
+    return (keyringKey = null);
+  }
+}
+
+// A passphrase from the environment wins over the keyring, so CI and
+// headless machines can decrypt without one.
+function resolveKey(source, salt, env, create) {
+  const passphrase = env[PASSPHRASE_ENV];
+  if (source === 'passphrase' || (!source && passphrase)) {
+    if (!passphrase) throw new AuthError(`The saved session is encrypted with a passphrase; set ${PASSPHRASE_ENV}`);
+    return { source: 'passphrase', key: crypto.scryptSync(passphrase, salt, 32) };
+  }
+  if (source === 'file') {
+    const key = loadFileKey(env, false);
+    if (!key) throw new AuthError(`The saved session is encrypted with the key in ${keyFilePath(env)}, which is missing`);
+    return { source, key };
+  }
+  const key = loadKeyringKey(create);
+  if (key) return { source: 'keyring', key };
+  if (source === 'keyring') {
+    throw new AuthError(`No key to decrypt the session: the OS keyring is not available (security on macOS, secret-tool on Linux); set ${PASSPHRASE_ENV} and log in again`);
+  }
+  const fileKey = loadFileKey(env, create);
+  if (!fileKey) throw new AuthError(`No key to decrypt the session: set ${PASSPHRASE_ENV} or log in again`);
+  return { source: 'file', key: fileKey };
+}
+
+export function encryptSession(cookies, env = process.env) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const { source, key } = resolveKey(null, salt, env, true);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(cookies), 'utf-8'), cipher.final()]);
+  return {
+    version: FORMAT_VERSION,
+    key: source,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+export function decryptSession(envelope, env = process.env) {
+  if (envelope.version !== FORMAT_VERSION) {
+    throw new AuthError(`Unsupported session file version ${envelope.version}`);
+  }
+  const { key } = resolveKey(envelope.key, Buffer.from(envelope.salt, 'base64'), env, false);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  try {
+    const json = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(json.toString('utf-8'));
+  } catch {
+    const source = { passphrase: PASSPHRASE_ENV, file: keyFilePath(env) }[envelope.key] ?? 'keyring key';
+    throw new AuthError(`Could not decrypt the saved session; ${source} has changed since it was saved`);
+  }
+}
+
+// Overwrites the file before unlinking it so the session does not linger
+// in freed blocks on simple filesystems.
+export function wipeFile(file) {
+  if (!fs.existsSync(file)) return false;
+  try {
+    fs.writeFileSync(file, crypto.randomBytes(fs.statSync(file).size));
+  } catch {}
+  fs.unlinkSync(file);
+  return true;
+}
@@ -0,0 +1,93 @@
+// Myers' O(ND) line diff. Returns the edit script as `[type, line]` pairs
+// where type is ' ' (kept), '-' (only in `a`) or '+' (only in `b`).
+export function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const trace = [];
+  let v = new Int32Array(2 * offset + 1);
+
+  search:
+  for (let d = 0; d <= n + m; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push([' ', a[--x]]);
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? ['+', b[--y]] : ['-', a[--x]]);
+    }
+  }
+  return ops.reverse();
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function range(start, count) {
+  return count === 1 ? `${start}` : `${count ? start : start - 1},${count}`;
+}
+
+// Unified diff hunks (without the ---/+++ header) with `context` lines
+// around each change.
+export function unifiedDiff(oldText, newText, { context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(([type, line]) => {
+    const op = { type, line, oldLine, newLine };
+    if (type !== '+') oldLine++;
+    if (type !== '-') newLine++;
+    return op;
+  });
+
+  const out = [];
+  let i = 0;
+  while (i < numbered.length) {
+    if (numbered[i].type === ' ') {
+      i++;
+      continue;
+    }
+    const start = Math.max(0, i - context);
+    let end = i;
+    // Extend the hunk while the next change is close enough to share context.
+    for (let j = i; j < numbered.length && j <= end + 2 * context; j++) {
+      if (numbered[j].type !== ' ') end = j;
+    }
+    const stop = Math.min(numbered.length, end + context + 1);
+    const hunk = numbered.slice(start, stop);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    out.push(`@@ -${range(hunk[0].oldLine, oldCount)} +${range(hunk[0].newLine, newCount)} @@`);
+    hunk.forEach(op => out.push(`${op.type}${op.line}`));
+    i = stop;
+  }
+  return out;
+}
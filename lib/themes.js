@@ -0,0 +1,244 @@
+import fs from 'fs';
+import axios from 'axios';
+import FormData from 'form-data';
+import { ensureAuth, authHeaders, removeCookiesFile } from './auth.js';
+import { packageTheme } from './packager.js';
+import { validateTheme, formatProblem } from './validator.js';
+import { ValidationError, ThemeNotFoundError, classifyResponse, classifyError, errorKind, exitCodeFor } from './errors.js';
+import { withRetry } from './retry.js';
+import { apiUrl, requestOptions } from './http.js';
+import { getLastUpload, recordUpload } from './upload-state.js';
+import { archiveUpload, getHistoryEntry } from './history.js';
+import { buildTheme } from './build.js';
+import { auditAssets } from './asset-audit.js';
+import { optimizeImages, optimizedImages } from './images.js';
+import { fingerprintAssets } from './fingerprint.js';
+import { log } from './log.js';
+
+export function runValidation(config) {
+  log.info('🔎 Validating theme templates…');
+  const { errors, warnings, fileCount } = validateTheme(config.folderPath);
+  log.event('validate', { ok: !errors.length, fileCount, errors, warnings });
+  warnings.forEach(w => log.warn('⚠️', formatProblem(w)));
+  if (errors.length) {
+    errors.forEach(e => log.error('❌', formatProblem(e)));
+    log.error(`❌ Validation failed with ${errors.length} error(s)`);
+    return false;
+  }
+  log.info(`✅ ${fileCount} templates validated`);
+  return true;
+}
+
+// With `pruneAssets`, assets no template, stylesheet or script refers to
+// stay out of the zip; the folder itself is left alone. Nothing is pruned
+// while a template builds an asset name from a variable alone.
+function prunedAssets(config) {
+  if (!config.pruneAssets) return [];
+  const { unreferenced, dynamic, prunable } = auditAssets(config);
+  if (!prunable) {
+    const open = dynamic.filter(ref => !ref.prefix);
+    open.forEach(({ file, line }) => log.warn(`⚠️ ${file}:${line} builds an asset name from a variable alone`));
+    log.warn('⚠️ Not pruning assets: any of them could be the one those references load');
+    log.event('assets.prune', { files: [], refused: open.map(({ file, line }) => `${file}:${line}`) });
+    return [];
+  }
+  if (unreferenced.length) {
+    const size = unreferenced.reduce((sum, asset) => sum + asset.size, 0);
+    log.info(`🧹 Leaving ${unreferenced.length} unreferenced asset(s) out of the zip (${(size / 1024).toFixed(1)} KB)`);
+    unreferenced.forEach(asset => log.debug('   ', asset.file));
+  }
+  log.event('assets.prune', { files: unreferenced.map(asset => asset.file) });
+  return unreferenced.map(asset => asset.file);
+}
+
+// Theme-relative paths the package leaves out on top of .zidignore.
+export function packageExcludes(config) {
+  return prunedAssets(config);
+}
+
+// Options for packageTheme() that follow the configuration: the built root
+// stylesheets, assets left out by `pruneAssets`, the images optimizeImages()
+// prepared when `optimizeImages` is on and fingerprinted asset URLs unless
+// `cacheBust` is off.
+export function packageOptions(config) {
+  const exclude = packageExcludes(config);
+  return {
+    folder: config.folderPath,
+    exclude,
+    rewrite: files => {
+      let built = buildTheme(config, files).filter(file => !exclude.includes(file.path));
+      if (config.optimizeImages) built = optimizedImages(config, built);
+      return config.cacheBust ? fingerprintAssets(built) : built;
+    }
+  };
+}
+
+export async function zipTheme(config) {
+  log.info('📦 Zipping theme folder…');
+  const result = packageTheme({ ...packageOptions(config), zipPath: config.zipPath });
+  log.info(`✅ Zipped ${result.files.length} files (${(result.size / 1024).toFixed(1)} KB) to`, config.zipPath);
+  log.event('zip', { zipPath: config.zipPath, files: result.files.length, size: result.size, hash: result.hash });
+  return result;
+}
+
+export async function listThemes(config) {
+  const auth = await ensureAuth(config);
+  const res = await axios.get(apiUrl(config, '/themes'), {
+    ...requestOptions(config),
+    headers: authHeaders(auth)
+  });
+  if (!Array.isArray(res.data?.data)) {
+    throw new Error('No themes found or unexpected response format');
+  }
+  return res.data.data;
+}
+
+function parseJsonBody(data) {
+  try {
+    return JSON.parse(Buffer.from(data).toString('utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Resolves with the zip the dashboard currently serves for the theme.
+export async function downloadTheme(config) {
+  const auth = await ensureAuth(config);
+  const res = await axios.get(apiUrl(config, `/themes/${config.themeId}/download`), {
+    ...requestOptions(config),
+    headers: authHeaders(auth),
+    responseType: 'arraybuffer'
+  }).catch(err => {
+    if (err.response) err.response.data = parseJsonBody(err.response.data);
+    throw classifyError(err);
+  });
+  // Errors can also come back as JSON with a 200, like the update endpoint.
+  if (String(res.headers['content-type']).includes('json')) {
+    throw classifyResponse(parseJsonBody(res.data), res.status);
+  }
+  return Buffer.from(res.data);
+}
+
+async function postTheme(config, auth, zipPath) {
+  const form = new FormData();
+  form.append('name', config.themeName);
+  form.append('code', config.themeCode);
+  form.append('file', fs.createReadStream(zipPath));
+
+  const res = await axios.post(
+    apiUrl(config, `/themes/${config.themeId}/update`),
+    form,
+    {
+      ...requestOptions(config),
+      headers: {
+        ...form.getHeaders(),
+        ...authHeaders(auth),
+        'Origin': config.baseUrl,
+        'Referer': `${config.baseUrl}/theme-market`
+      }
+    }
+  );
+  if (res.data?.status !== 'success') {
+    throw classifyResponse(res.data, res.status);
+  }
+  return res.data;
+}
+
+async function printAvailableThemes(config) {
+  try {
+    log.info('🔍 Theme ID not found. Listing available themes...');
+    const themes = await listThemes(config);
+    log.info('📋 Available themes:');
+    themes.forEach(theme => log.info(`  - ${theme.name} (ID: ${theme.id})`));
+    log.info('💡 Please update THEME_ID with the correct ID from the list above.');
+  } catch (err) {
+    log.warn('⚠️ Could not list themes:', err.message);
+  }
+}
+
+// Posts a zip through the update endpoint, logging in again and retrying as
+// the retry policy allows.
+async function sendPackage(config, zipPath) {
+  const started = Date.now();
+  let forceLogin = false;
+  log.event('upload.start', { profile: config.profile, themeId: config.themeId, zipPath });
+  try {
+    const data = await withRetry(async () => {
+      const auth = await ensureAuth(config, forceLogin);
+      forceLogin = false;
+      return postTheme(config, auth, zipPath);
+    }, {
+      maxAttempts: config.maxAttempts,
+      onAuthError: async () => {
+        log.info('⚠️ Session expired, retrying login…');
+        removeCookiesFile(config.cookiesFile);
+        forceLogin = true;
+      },
+      onRetry: (err, attempt, delay) => {
+        if (!delay) return;
+        log.warn(`⏳ ${err.message}, retrying in ${delay / 1000}s (attempt ${attempt + 1}/${config.maxAttempts})`);
+        log.event('upload.retry', { attempt: attempt + 1, delayMs: delay, kind: errorKind(err), message: err.message });
+      }
+    });
+    log.info('🚀 Upload success:', data);
+    log.event('upload.result', { status: 'success', themeId: config.themeId, durationMs: Date.now() - started, response: data });
+    return data;
+  } catch (err) {
+    log.error(`❌ Upload error (${errorKind(err)}):`, err.message);
+    log.event('upload.result', {
+      status: 'error',
+      themeId: config.themeId,
+      durationMs: Date.now() - started,
+      kind: errorKind(err),
+      exitCode: exitCodeFor(err),
+      message: err.message
+    });
+    if (err instanceof ThemeNotFoundError) await printAvailableThemes(config);
+    throw err;
+  }
+}
+
+function recordSuccess(config, upload) {
+  recordUpload(config, { hash: upload.hash, files: Object.keys(upload.fileHashes).length });
+  try {
+    const entry = archiveUpload(config, upload);
+    log.info('🗂️ Archived as', entry.id);
+    log.event('archive', { id: entry.id, changed: entry.changed });
+  } catch (err) {
+    log.warn('⚠️ Could not archive the upload:', err.message);
+  }
+}
+
+// Optimizes images when enabled, validates, builds and packages the theme
+// and uploads it. Resolves with `{ status: 'uploaded', hash, response }`, or
+// `status: 'skipped'` when the package matches the last successful upload
+// to this theme from this profile, and rejects with one of the classified
+// errors from ./errors.js.
+export async function uploadTheme(config) {
+  if (config.optimizeImages) await optimizeImages(config);
+  if (!runValidation(config)) {
+    throw new ValidationError('Template validation failed, upload aborted');
+  }
+  const { hash, fileHashes } = await zipTheme(config);
+
+  const last = getLastUpload(config);
+  if (!config.force && last?.hash === hash) {
+    log.info(`⏭️ Package unchanged since the upload at ${last.uploadedAt}, skipping (use --force to upload anyway)`);
+    log.event('upload.result', { status: 'skipped', themeId: config.themeId, hash, lastUploadAt: last.uploadedAt });
+    return { status: 'skipped', hash };
+  }
+
+  const response = await sendPackage(config, config.zipPath);
+  recordSuccess(config, { zipPath: config.zipPath, hash, fileHashes });
+  return { status: 'uploaded', hash, response };
+}
+
+// Re-uploads the archived zip `n` entries back (1 is the latest upload).
+// The rollback is itself archived, so it can be undone the same way.
+export async function rollbackTheme(config, n) {
+  const entry = getHistoryEntry(config, n);
+  log.info(`⏪ Rolling back to ${entry.id}${entry.commit ? ` (commit ${entry.commit.slice(0, 7)})` : ''}`);
+  const response = await sendPackage(config, entry.zipPath);
+  recordSuccess(config, { zipPath: entry.zipPath, hash: entry.hash, fileHashes: entry.fileHashes, rollbackOf: entry });
+  return { status: 'uploaded', hash: entry.hash, response, rollbackOf: entry.id };
+}
@@ -0,0 +1,118 @@
+const OPENERS = {
+  '{%': { type: 'tag', close: '%}' },
+  '{{': { type: 'output', close: '}}' },
+  '{#': { type: 'comment', close: '#}' }
+};
+
+// Tags whose body is copied verbatim, so nothing inside them is parsed.
+const RAW_TAGS = { schema: 'endschema', verbatim: 'endverbatim', raw: 'endraw' };
+
+export function lineAt(source, index) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < index && i < source.length; i++) {
+    if (source[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, col: index - lineStart + 1 };
+}
+
+function findClose(source, from, close) {
+  let quote = null;
+  for (let i = from; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (source.startsWith(close, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function stripWhitespaceControl(inner) {
+  return inner.replace(/^[-~]/, '').replace(/[-~]$/, '').trim();
+}
+
+// Splits a template into text, tag, output and comment tokens. Problems that
+// stop tokenizing (an unterminated delimiter) are returned alongside.
+export function tokenizeTwig(source) {
+  const tokens = [];
+  const errors = [];
+  let pos = 0;
+
+  const pushText = end => {
+    if (end > pos) tokens.push({ type: 'text', value: source.slice(pos, end), start: pos, end });
+  };
+
+  while (pos < source.length) {
+    const next = source.slice(pos).search(/\{[%{#]/);
+    if (next === -1) break;
+    const start = pos + next;
+    pushText(start);
+
+    const opener = OPENERS[source.slice(start, start + 2)];
+    const closeAt = opener.type === 'comment'
+      ? source.indexOf(opener.close, start + 2)
+      : findClose(source, start + 2, opener.close);
+    if (closeAt === -1) {
+      errors.push({ index: start, message: `Unclosed "${source.slice(start, start + 2)}" delimiter` });
+      pos = source.length;
+      break;
+    }
+
+    const end = closeAt + 2;
+    const value = stripWhitespaceControl(source.slice(start + 2, closeAt));
+    const token = { type: opener.type, value, start, end };
+    if (opener.type === 'tag') {
+      const match = value.match(/^([a-zA-Z_]+)\s*([\s\S]*)$/);
+      token.name = match ? match[1] : '';
+      token.args = match ? match[2].trim() : value;
+    }
+    tokens.push(token);
+    pos = end;
+
+    const rawEnd = token.type === 'tag' && RAW_TAGS[token.name];
+    if (rawEnd) {
+      const endPattern = new RegExp(`\\{%[-~]?\\s*${rawEnd}\\s*[-~]?%\\}`, 'g');
+      endPattern.lastIndex = pos;
+      const found = endPattern.exec(source);
+      if (!found) {
+        errors.push({ index: start, message: `Unclosed "{% ${token.name} %}" (expected {% ${rawEnd} %})` });
+        token.body = source.slice(pos);
+        pos = source.length;
+        break;
+      }
+      token.body = source.slice(pos, found.index);
+      token.bodyStart = pos;
+      tokens.push({ type: 'tag', name: rawEnd, args: '', value: rawEnd, start: found.index, end: found.index + found[0].length });
+      pos = found.index + found[0].length;
+    }
+  }
+  pushText(source.length);
+
+  return { tokens, errors };
+}
+
+// Template names referenced through include/extends/embed/import, as string
+// literals only; dynamic names cannot be resolved statically.
+export function findTemplateReferences(tokens) {
+  const refs = [];
+  const literal = /^\s*(?:\(\s*)?(['"])([^'"]+)\1/;
+  for (const token of tokens) {
+    if (token.type === 'tag' && ['include', 'extends', 'embed', 'import', 'from'].includes(token.name)) {
+      const m = token.args.match(literal);
+      if (m) refs.push({ name: m[2], index: token.start });
+    } else if (token.type === 'tag' || token.type === 'output') {
+      const fn = /\b(?:include|source)\(\s*(['"])([^'"]+)\1/g;
+      let m;
+      while ((m = fn.exec(token.value))) refs.push({ name: m[2], index: token.start });
+    }
+  }
+  return refs;
+}
@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './packager.js';
+
+const STATE_FILE = 'uploads.json';
+
+function stateFile(config) {
+  return path.join(config.stateDir, STATE_FILE);
+}
+
+function readState(config) {
+  try {
+    return JSON.parse(fs.readFileSync(stateFile(config), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+// Profiles can send the same theme id to different dashboards, so each
+// keeps its own record.
+function stateKey(config) {
+  return config.profile ? `${config.profile}/${config.themeId}` : config.themeId;
+}
+
+// The last successful upload per theme id and profile: { hash, files, uploadedAt }.
+export function getLastUpload(config) {
+  return readState(config)[stateKey(config)] || null;
+}
+
+export function recordUpload(config, upload) {
+  const state = readState(config);
+  state[stateKey(config)] = { ...upload, uploadedAt: new Date().toISOString() };
+  writeFileAtomic(stateFile(config), JSON.stringify(state, null, 2));
+}
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { tokenizeTwig, findTemplateReferences, lineAt } from './twig-syntax.js';
+
+export const REQUIRED_FILES = ['layout.twig', 'header.twig', 'footer.twig'];
+
+export const REQUIRED_TEMPLATES = [
+  '404', 'account-addresses', 'account-orders', 'account-profile', 'account-wishlist',
+  'blog', 'blogs', 'cart', 'categories', 'category', 'faqs', 'home', 'page',
+  'product', 'products', 'reviews', 'search', 'shipping-and-payments'
+].map(name => `templates/${name}.twig`);
+
+// Partials rendered by Zid itself; themes include them but never ship them.
+export const PLATFORM_PARTIALS = ['logo.twig', 'scripts.twig', 'payment-section.twig', 'shipping-payment-cards.twig'];
+const PLATFORM_PREFIX = 'template_for_';
+
+// Folders Zid searches when an include names a bare file.
+const LOOKUP_DIRS = ['', 'common', 'templates', 'modules'];
+
+const BLOCK_TAGS = {
+  if: 'endif',
+  for: 'endfor',
+  block: 'endblock',
+  embed: 'endembed',
+  macro: 'endmacro',
+  apply: 'endapply',
+  filter: 'endfilter',
+  spaceless: 'endspaceless',
+  autoescape: 'endautoescape',
+  with: 'endwith',
+  sandbox: 'endsandbox',
+  cache: 'endcache'
+};
+const MIDDLE_TAGS = { else: ['if', 'for'], elseif: ['if'] };
+const END_TAGS = new Set([...Object.values(BLOCK_TAGS), 'endset']);
+const RAW_TAGS = ['schema', 'endschema', 'verbatim', 'endverbatim', 'raw', 'endraw'];
+
+function closerFor(token) {
+  return BLOCK_TAGS[token.name] || 'endset';
+}
+
+function listTwigFiles(folder) {
+  const out = [];
+  const walk = dir => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) walk(full);
+      else if (dirent.name.endsWith('.twig')) out.push(full);
+    }
+  };
+  walk(folder);
+  return out.sort();
+}
+
+function opensBlock(token) {
+  if (token.name === 'set') return !token.args.includes('=');
+  if (token.name === 'block') return !/^\S+\s+\S/.test(token.args);
+  return Boolean(BLOCK_TAGS[token.name]);
+}
+
+function checkStructure(tokens, source) {
+  const problems = [];
+  const stack = [];
+
+  for (const token of tokens) {
+    if (token.type !== 'tag') continue;
+    const { name } = token;
+
+    if (RAW_TAGS.includes(name)) continue;
+
+    if (opensBlock(token)) {
+      stack.push(token);
+    } else if (MIDDLE_TAGS[name]) {
+      const top = stack[stack.length - 1];
+      if (!top || !MIDDLE_TAGS[name].includes(top.name)) {
+        problems.push({ index: token.start, message: `Unexpected {% ${name} %} outside of {% ${MIDDLE_TAGS[name].join(' %}/{% ')} %}` });
+      }
+    } else if (END_TAGS.has(name)) {
+      const top = stack[stack.length - 1];
+      if (!top) {
+        problems.push({ index: token.start, message: `Unexpected {% ${name} %} with no open block` });
+      } else if (closerFor(top) !== name) {
+        const { line } = lineAt(source, top.start);
+        problems.push({ index: token.start, message: `Unexpected {% ${name} %}, expected {% ${closerFor(top)} %} to close {% ${top.name} %} from line ${line}` });
+        // Unwind to the matching opener, if any, so one typo is reported once.
+        const match = stack.map(closerFor).lastIndexOf(name);
+        if (match !== -1) stack.length = match;
+      } else {
+        stack.pop();
+      }
+    }
+  }
+
+  for (const open of stack) {
+    problems.push({ index: open.start, message: `Unclosed {% ${open.name} %} (missing {% ${closerFor(open)} %})` });
+  }
+  return problems;
+}
+
+export function resolveTemplate(folder, name) {
+  if (name.startsWith(PLATFORM_PREFIX) || PLATFORM_PARTIALS.includes(name)) return 'platform';
+  for (const dir of LOOKUP_DIRS) {
+    const candidate = path.join(folder, dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+export function validateTheme(folder) {
+  const errors = [];
+  const warnings = [];
+
+  if (!fs.existsSync(folder)) {
+    errors.push({ file: folder, line: 0, col: 0, message: 'Theme folder does not exist' });
+    return { errors, warnings, fileCount: 0 };
+  }
+
+  for (const required of [...REQUIRED_FILES, ...REQUIRED_TEMPLATES]) {
+    if (!fs.existsSync(path.join(folder, required))) {
+      errors.push({ file: required, line: 0, col: 0, message: 'Required file is missing' });
+    }
+  }
+
+  const files = listTwigFiles(folder);
+  for (const file of files) {
+    const rel = path.relative(folder, file).split(path.sep).join('/');
+    const source = fs.readFileSync(file, 'utf-8');
+    const { tokens, errors: syntaxErrors } = tokenizeTwig(source);
+
+    const report = (list, { index, message }) => {
+      const { line, col } = lineAt(source, index);
+      list.push({ file: rel, line, col, message });
+    };
+
+    syntaxErrors.forEach(problem => report(errors, problem));
+    checkStructure(tokens, source).forEach(problem => report(errors, problem));
+
+    for (const ref of findTemplateReferences(tokens)) {
+      if (!resolveTemplate(folder, ref.name)) {
+        report(errors, { index: ref.index, message: `Included template "${ref.name}" does not exist` });
+      }
+    }
+
+    if (!source.trim()) {
+      warnings.push({ file: rel, line: 0, col: 0, message: 'Template is empty' });
+    }
+  }
+
+  return { errors, warnings, fileCount: files.length };
+}
+
+export function formatProblem({ file, line, col, message }) {
+  return line ? `${file}:${line}:${col} ${message}` : `${file} ${message}`;
+}
@@ -0,0 +1,112 @@
+import path from 'path';
+import chokidar from 'chokidar';
+import picomatch from 'picomatch';
+import { uploadTheme } from './themes.js';
+import { withLock } from './lock.js';
+import { LockError } from './errors.js';
+import { loadIgnoreRules, isIgnored } from './packager.js';
+import { listSourceStyles } from './build.js';
+import { log } from './log.js';
+
+const SUMMARY_LIMIT = 10;
+
+// Files left out of the package never need an upload, so the .zidignore
+// rules apply on top of the configured watch globs.
+function createIgnoreMatcher(config) {
+  const rules = loadIgnoreRules(config.folderPath);
+  const globs = config.watchIgnore.length ? picomatch(config.watchIgnore, { dot: true }) : () => false;
+  return file => {
+    const rel = path.relative(config.folderPath, file).split(path.sep).join('/');
+    if (!rel || rel.startsWith('..')) return false;
+    return globs(rel) || isIgnored(rel, rules);
+  };
+}
+
+function displayPath(config, file) {
+  const rel = path.relative(config.folderPath, file);
+  return (rel.startsWith('..') ? path.relative(process.cwd(), file) : rel).split(path.sep).join('/');
+}
+
+function printCycleSummary(changes) {
+  const shown = changes.slice(0, SUMMARY_LIMIT).map(([file, evt]) => `${file} (${evt})`);
+  const more = changes.length > SUMMARY_LIMIT ? `, +${changes.length - SUMMARY_LIMIT} more` : '';
+  log.info(`\n🔄 ${changes.length} change(s) at ${new Date().toLocaleTimeString()}: ${shown.join(', ')}${more}`);
+}
+
+// Changes are collected per file and flushed after `watchDebounceMs` of
+// quiet. Anything that arrives while an upload runs is kept and triggers
+// exactly one follow-up upload once the current one finishes.
+export function watchTheme(config) {
+  const pending = new Map();
+  let uploading = false;
+  let timer = null;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, config.watchDebounceMs);
+  };
+
+  const flush = async () => {
+    if (uploading || !pending.size) return;
+    const changes = [...pending];
+    pending.clear();
+    uploading = true;
+    printCycleSummary(changes);
+    log.event('watch.cycle', { changes: changes.map(([file, evt]) => ({ file, evt })) });
+
+    const started = Date.now();
+    try {
+      // Refuses to upload once another process has taken the lock over.
+      await withLock(config, 'watch', () => uploadTheme(config));
+      log.info(`✅ Cycle finished in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+      log.event('watch.cycle.result', { ok: true, durationMs: Date.now() - started });
+    } catch (err) {
+      // A lost lock has been reported already and stops the watcher.
+      if (!(err instanceof LockError)) {
+        log.error(`❌ Cycle failed: ${err.message}; the next change will trigger a new upload`);
+        log.debug(err.stack);
+      }
+      log.event('watch.cycle.result', { ok: false, error: err.message, durationMs: Date.now() - started });
+    } finally {
+      uploading = false;
+    }
+
+    if (pending.size) {
+      log.info(`📥 ${pending.size} change(s) arrived during the upload, uploading again`);
+      schedule();
+    }
+  };
+
+  log.info('👀 Watching folder for changes:', config.folderPath);
+
+  const sources = listSourceStyles(config).length ? [config.assetsPath] : [];
+  const watcher = chokidar.watch([config.folderPath, ...sources], {
+    ignoreInitial: true,
+    persistent: true,
+    followSymlinks: false,
+    depth: 99,
+    ignored: createIgnoreMatcher(config),
+    awaitWriteFinish: {
+      stabilityThreshold: 100,
+      pollInterval: 50
+    },
+    usePolling: false,
+    interval: 100,
+    binaryInterval: 300
+  });
+
+  watcher
+    .on('ready', () => {
+      log.info(`✅ File watcher is ready (debounce ${config.watchDebounceMs}ms)`);
+      log.event('watch.ready', { folder: config.folderPath, debounceMs: config.watchDebounceMs });
+    })
+    .on('error', error => {
+      log.error('❌ Watcher error:', error);
+    })
+    .on('all', (evt, file) => {
+      pending.set(displayPath(config, file), evt);
+      if (!uploading) schedule();
+    });
+
+  return watcher;
+}
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { auditAssets } from '../lib/asset-audit.js';
+import { packageOptions } from '../lib/themes.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+
+function theme(t, files) {
+  const root = tempTheme(t, files);
+  return { folderPath: path.join(root, 'Vineta'), assetsPath: path.join(root, 'assets'), stateDir: path.join(root, '.zid') };
+}
+
+const unreferenced = report => report.unreferenced.map(asset => asset.file);
+
+test('references are followed from templates into stylesheets and scripts', t => {
+  const report = auditAssets(theme(t, {
+    'Vineta/layout.twig': [
+      `<link rel="stylesheet" href="http://127.0.0.1:5500/assets/general.ltr.css" />`,
+      `<script src="{{ asset_url ~ 'main.js' }}"></script>`,
+      `<img src="{{ asset_url }}logo.svg?v=2">`
+    ].join('\n'),
+    'Vineta/assets/main.js': `const icon = spinner ? 'cart.svg' : null;`,
+    'Vineta/assets/logo.svg': '<svg/>',
+    'Vineta/assets/cart.svg': '<svg/>',
+    'Vineta/assets/fonts/a.woff2': 'font',
+    'Vineta/assets/bg.png': 'png',
+    'Vineta/assets/old.png': 'png',
+    'assets/general.ltr.css': `.a { background: url(bg.png) } @font-face { src: url('fonts/a.woff2?#iefix') }`
+  }));
+  assert.deepEqual(unreferenced(report), ['assets/general.rtl.css', 'assets/old.png']);
+  assert.deepEqual(report.missing, []);
+  assert.equal(report.assets, 8);
+  assert.equal(report.referenced, 6);
+});
+
+test('explicit references to absent files are listed once per template with their position', t => {
+  const report = auditAssets(theme(t, {
+    'Vineta/layout.twig': `<img src="{{ asset_url ~ 'gone.png' }}">\n<img src="{{ asset_url ~ 'gone.png' }}">`,
+    'Vineta/product.twig': `\n  {{ assetUrl('gone.png') }}`,
+    'Vineta/assets/a.css': '.a { background: url(missing.svg) }'
+  }));
+  assert.deepEqual(report.missing, [
+    { asset: 'assets/gone.png', file: 'layout.twig', line: 1, col: 14 },
+    { asset: 'assets/gone.png', file: 'product.twig', line: 2, col: 6 }
+  ]);
+  // Nothing loads a.css, so its url() is never followed.
+  assert.deepEqual(unreferenced(report), ['assets/a.css']);
+});
+
+test('a dynamic name keeps every file under its prefix', t => {
+  const report = auditAssets(theme(t, {
+    'Vineta/layout.twig': `<img src="{{ asset_url ~ 'flags/' ~ lang ~ '.svg' }}">\n<img src="{{ asset_url ~ 'badges/' ~ b }}">`,
+    'Vineta/assets/flags/ar.svg': '<svg/>',
+    'Vineta/assets/flags/en.svg': '<svg/>',
+    'Vineta/assets/other.svg': '<svg/>'
+  }));
+  assert.deepEqual(unreferenced(report), ['assets/other.svg']);
+  assert.deepEqual(report.dynamic, [{ prefix: 'badges/', file: 'layout.twig', line: 2, col: 14 }]);
+  assert.equal(report.prunable, true);
+});
+
+test('empty files are reported', t => {
+  const report = auditAssets(theme(t, {
+    'Vineta/layout.twig': `{{ asset_url ~ 'empty.js' }}`,
+    'Vineta/assets/empty.js': ''
+  }));
+  assert.deepEqual(report.empty, ['assets/empty.js']);
+});
+
+test('pruning leaves unreferenced assets out of the package', t => {
+  const config = theme(t, {
+    'Vineta/layout.twig': `{{ asset_url ~ 'used.png' }}`,
+    'Vineta/assets/used.png': 'a',
+    'Vineta/assets/unused.png': 'b'
+  });
+  assert.deepEqual(packageOptions({ ...config, pruneAssets: true }).exclude, ['assets/unused.png']);
+  assert.deepEqual(packageOptions({ ...config, pruneAssets: false }).exclude, []);
+});
+
+test('nothing is pruned while a name is built from a variable alone', t => {
+  const config = theme(t, {
+    'Vineta/layout.twig': [
+      `{{ asset_url ~ 'used.png' }}`,
+      `<script>var img_name = spinner ? 'new-spinner-black' : 'new-spinner-white';</script>`,
+      `<img src="{{ asset_url }}'+img_name+'.png">`
+    ].join('\n'),
+    'Vineta/assets/used.png': 'a',
+    'Vineta/assets/new-spinner-black.png': 'b',
+    'Vineta/assets/new-spinner-white.png': 'c'
+  });
+  const report = auditAssets(config);
+  assert.deepEqual(unreferenced(report), ['assets/new-spinner-black.png', 'assets/new-spinner-white.png']);
+  assert.deepEqual(report.dynamic, [{ prefix: '', file: 'layout.twig', line: 3, col: 11 }]);
+  assert.equal(report.prunable, false);
+  assert.deepEqual(packageOptions({ ...config, pruneAssets: true }).exclude, []);
+});
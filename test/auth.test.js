@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { saveCookiesToFile, loadCookiesFromFile } from '../lib/auth.js';
+import { PASSPHRASE_ENV } from '../lib/session-store.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+process.env[PASSPHRASE_ENV] = 'test passphrase';
+
+const cookies = [{ name: 'laravel_session', value: 'abc' }];
+
+test('a plaintext session is encrypted in place and made private', { skip: process.platform === 'win32' }, t => {
+  const file = path.join(tempTheme(t), 'cookies.json');
+  fs.writeFileSync(file, JSON.stringify(cookies), { mode: 0o644 });
+
+  assert.deepEqual(loadCookiesFromFile(file), cookies);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf-8')).key, 'passphrase');
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(loadCookiesFromFile(file), cookies);
+});
+
+test('saving over a readable session file makes it private', { skip: process.platform === 'win32' }, async t => {
+  const file = path.join(tempTheme(t), 'sessions', 'a.json');
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, '{}', { mode: 0o644 });
+  await saveCookiesToFile(file, cookies);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(loadCookiesFromFile(file), cookies);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { minifyCss, rewriteDevLinks, restoreDevLinks, hasDevLinks, buildFiles, listSourceStyles } from '../lib/build.js';
+import { tempTheme } from './helpers.js';
+
+test('comments and insignificant whitespace go', () => {
+  assert.equal(minifyCss('/* header */\n.a  >  .b ,\n.c {\n  color: red ;\n  margin: 0 auto;\n}\n'), '.a>.b,.c{color:red;margin:0 auto}');
+  assert.equal(minifyCss('.a .b { }'), '.a .b{}');
+  // A space before a colon can be a descendant combinator.
+  assert.equal(minifyCss('.menu :hover { }'), '.menu :hover{}');
+});
+
+test('strings, notices and calc() operands survive', () => {
+  assert.equal(minifyCss('/*! keep me */ a::before { content: "  /* not a comment */  "; }'), '/*! keep me */ a::before{content:"  /* not a comment */  "}');
+  assert.equal(minifyCss('.a { width: calc( 100% - 2 * var(--gap) ); }'), '.a{width:calc(100% - 2 * var(--gap))}');
+  assert.equal(minifyCss('.a { color: red !important; }'), '.a{color:red!important}');
+  assert.equal(minifyCss('a[title="x y"] { font: 12px/1.5 "Open Sans", sans-serif }'), 'a[title="x y"]{font:12px/1.5 "Open Sans",sans-serif}');
+});
+
+test('Live Server links become asset_url', () => {
+  const layout = '<link href="http://127.0.0.1:5500/assets/general.rtl.css" rel="stylesheet">\n<link href=\'http://localhost:5500/assets/header.ltr.css\'>';
+  assert.ok(hasDevLinks(layout));
+  const rewritten = rewriteDevLinks(layout);
+  assert.equal(rewritten, '<link href="{{ asset_url ~ \'general.rtl.css\' }}" rel="stylesheet">\n<link href=\'{{ asset_url ~ \'header.ltr.css\' }}\'>');
+  assert.equal(hasDevLinks(rewritten), false);
+  assert.equal(rewriteDevLinks('<link href="http://127.0.0.1:5500/assets/a.css">', file => `/preview/${file}`), '<link href="/preview/a.css">');
+});
+
+test('restoring links undoes the rewrite and nothing else', () => {
+  const layout = '<link href="http://127.0.0.1:5500/assets/general.rtl.css">\n<link href=\'http://localhost:5500/assets/header.ltr.css\'>';
+  const built = `${rewriteDevLinks(layout)}\n<script src="{{ asset_url ~ 'main.js' }}"></script>`;
+  assert.equal(restoreDevLinks(built, layout), `${layout}\n<script src="{{ asset_url ~ 'main.js' }}"></script>`);
+  assert.equal(restoreDevLinks(built, '<p>no links</p>'), built);
+});
+
+test('the build adds minified root stylesheets to the package without touching disk', t => {
+  const root = tempTheme(t, {
+    'assets/general.ltr.css': '.a {\n  margin-left: 1px;\n}\n',
+    'assets/footer.ltr.css': '.f { float: left; }',
+    'assets/footer.rtl.css': '.f { float: right; }',
+    'theme/assets/general.ltr.css': 'stale copy'
+  });
+  const config = { folderPath: path.join(root, 'theme'), assetsPath: path.join(root, 'assets') };
+  assert.deepEqual(listSourceStyles(config), ['footer.ltr.css', 'footer.rtl.css', 'general.ltr.css', 'general.rtl.css']);
+
+  const layout = '<link href="http://127.0.0.1:5500/assets/general.ltr.css">';
+  const { files, result } = buildFiles(config, [
+    { path: 'assets/general.ltr.css', data: Buffer.from('stale copy') },
+    { path: 'layout.twig', data: Buffer.from(layout) }
+  ]);
+  const byPath = Object.fromEntries(files.map(file => [file.path, file.data.toString()]));
+  assert.deepEqual(Object.keys(byPath), ['assets/footer.ltr.css', 'assets/footer.rtl.css', 'assets/general.ltr.css', 'assets/general.rtl.css', 'layout.twig']);
+  assert.equal(byPath['assets/general.ltr.css'], '.a{margin-left:1px}');
+  assert.equal(byPath['assets/general.rtl.css'], '.a{margin-right:1px}');
+  assert.equal(byPath['layout.twig'], '<link href="{{ asset_url ~ \'general.ltr.css\' }}">');
+  assert.deepEqual(result.generated, ['general.rtl.css']);
+  assert.deepEqual(result.templates, ['layout.twig']);
+});
+
+test('without root stylesheets the package is left as it is', t => {
+  const root = tempTheme(t, { 'theme/layout.twig': '' });
+  const files = [{ path: 'layout.twig', data: Buffer.from('<link href="http://127.0.0.1:5500/assets/a.css">') }];
+  assert.equal(buildFiles({ folderPath: path.join(root, 'theme'), assetsPath: path.join(root, 'assets') }, files).files, files);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AuthError,
+  ValidationError,
+  ThemeNotFoundError,
+  NetworkError,
+  ServerError,
+  ZidError,
+  THEME_NOT_FOUND_MESSAGE,
+  classifyError,
+  classifyResponse,
+  errorKind,
+  exitCodeFor
+} from '../lib/errors.js';
+
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+test('HTTP statuses map to error classes', () => {
+  assert.ok(classifyError(httpError(401)) instanceof AuthError);
+  assert.ok(classifyError(httpError(419)) instanceof AuthError);
+  assert.ok(classifyError(httpError(403)) instanceof AuthError);
+  assert.ok(classifyError(httpError(404)) instanceof ThemeNotFoundError);
+  assert.ok(classifyError(httpError(502)) instanceof ServerError);
+  assert.ok(classifyError(httpError(422, { message: 'bad zip' })) instanceof ValidationError);
+  assert.equal(classifyError(httpError(500, { message: 'boom' })).message, 'boom');
+  assert.equal(classifyError(httpError(503)).status, 503);
+});
+
+test('errors without a response are network errors when a request was made', () => {
+  assert.ok(classifyError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })) instanceof NetworkError);
+  assert.ok(classifyError(Object.assign(new Error('x'), { request: {} })) instanceof NetworkError);
+  const plain = classifyError(new Error('bug'));
+  assert.equal(plain.constructor, ZidError);
+  assert.equal(plain.message, 'bug');
+});
+
+test('classified errors pass through unchanged', () => {
+  const err = new AuthError('expired');
+  assert.equal(classifyError(err), err);
+});
+
+test('upload response bodies name a missing theme or a validation failure', () => {
+  assert.ok(classifyResponse({ message: `x ${THEME_NOT_FOUND_MESSAGE}` }, 200) instanceof ThemeNotFoundError);
+  const invalid = classifyResponse('layout.twig is missing', 200);
+  assert.ok(invalid instanceof ValidationError);
+  assert.equal(invalid.message, 'layout.twig is missing');
+  assert.equal(classifyResponse(null, 200).message, 'Unknown error');
+});
+
+test('kinds and exit codes', () => {
+  assert.deepEqual(
+    [AuthError, ValidationError, ThemeNotFoundError, NetworkError, ServerError].map(Class => [errorKind(new Class('x')), exitCodeFor(new Class('x'))]),
+    [['auth', 3], ['validation', 4], ['theme-not-found', 5], ['network', 6], ['server', 7]]
+  );
+  assert.equal(errorKind(new Error('x')), 'unknown');
+  assert.equal(exitCodeFor(new Error('x')), 1);
+});
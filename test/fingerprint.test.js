@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintAssets, stripFingerprints } from '../lib/fingerprint.js';
+import { collectThemeFiles } from '../lib/packager.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+
+function fingerprint(t, files) {
+  const built = fingerprintAssets(collectThemeFiles(tempTheme(t, files)));
+  return Object.fromEntries(built.map(file => [file.path, file.data.toString('utf-8')]));
+}
+
+const HASH = /^[0-9a-f]{10}$/;
+
+test('static references get a hash parameter and keep their own query', t => {
+  const out = fingerprint(t, {
+    'assets/app.js': 'run()',
+    'assets/logo.png': 'png',
+    'assets/general.ltr.css': 'a{}',
+    'layout.twig': [
+      `<script src="{{ asset_url ~ 'app.js' }}"></script>`,
+      `<img src="{{ asset_url }}logo.png#top">`,
+      `<link href="{{ assetUrl('general.ltr.css?v=2') }}">`
+    ].join('\n')
+  });
+  const [script, img, link] = out['layout.twig'].split('\n');
+  assert.match(script.match(/app\.js\?hash=(\w+)'/)[1], HASH);
+  assert.match(img.match(/logo\.png\?hash=(\w+)#top">/)[1], HASH);
+  assert.match(link.match(/general\.ltr\.css\?v=2&hash=(\w+)'/)[1], HASH);
+  assert.equal(out['assets/app.js'], 'run()');
+});
+
+test('dynamic and unknown names are left alone', t => {
+  const layout = [
+    `<img src="{{ asset_url ~ 'spinner-' ~ size ~ '.png' }}">`,
+    `<img src="{{ asset_url }}{{ icon }}">`,
+    `<img src="{{ asset_url ~ 'missing.png' }}">`,
+    `<img src="{{ assetUrl('icons/' ~ name) }}">`
+  ].join('\n');
+  const out = fingerprint(t, { 'assets/spinner-1.png': 'a', 'assets/icons/x.svg': 'b', 'layout.twig': layout });
+  assert.equal(out['layout.twig'], layout);
+});
+
+test('the hash follows the content', t => {
+  const layout = `<script src="{{ asset_url ~ 'app.js' }}"></script>`;
+  const hashOf = source => fingerprint(t, { 'assets/app.js': source, 'layout.twig': layout })['layout.twig'].match(/hash=(\w+)/)[1];
+  assert.equal(hashOf('run()'), hashOf('run()'));
+  assert.notEqual(hashOf('run()'), hashOf('run(1)'));
+});
+
+test('stripFingerprints undoes the rewrite exactly', t => {
+  const layout = [
+    `<script src="{{ asset_url ~ 'app.js' }}"></script>`,
+    `<img src="{{ asset_url }}logo.png#top">`,
+    `<link href="{{ assetUrl('general.ltr.css?v=2') }}">`,
+    `<a href="/search?q=hash">`
+  ].join('\n');
+  const out = fingerprint(t, { 'assets/app.js': 'x', 'assets/logo.png': 'y', 'assets/general.ltr.css': 'z', 'layout.twig': layout });
+  assert.notEqual(out['layout.twig'], layout);
+  assert.equal(stripFingerprints(out['layout.twig']), layout);
+  // Fingerprinting twice does not stack parameters.
+  const again = fingerprintAssets([{ path: 'assets/app.js', data: Buffer.from('x') }, { path: 'layout.twig', data: Buffer.from(out['layout.twig']) }]);
+  assert.equal(again[1].data.toString('utf-8'), out['layout.twig']);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { generateModule } from '../lib/generate.js';
+import { checkModuleSchema } from '../lib/schema-check.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+
+const LAYOUT = `<head>
+  {% if session.lang.code == 'ar' %}
+    <link rel="stylesheet" href="http://127.0.0.1:5500/assets/general.rtl.css" />
+    <link rel="stylesheet" href="http://127.0.0.1:5500/assets/home-page.rtl.css" />
+  {% else %}
+    <link rel="stylesheet" href="http://127.0.0.1:5500/assets/general.ltr.css" />
+    <link rel="stylesheet" href="http://127.0.0.1:5500/assets/home-page.ltr.css" />
+  {% endif %}
+</head>
+`;
+
+function theme(t, files = {}) {
+  const root = tempTheme(t, {
+    'Vineta/layout.twig': LAYOUT,
+    'Vineta/locals/en.json': '{\n  "Home": "Home"\n}\n',
+    'Vineta/locals/ar.json': '{\n  "Home": "الرئيسية"\n}\n',
+    ...files
+  });
+  return { root, config: { folderPath: path.join(root, 'Vineta'), assetsPath: path.join(root, 'assets') } };
+}
+
+test('module names cannot leave the modules folder', t => {
+  const { root, config } = theme(t);
+  for (const name of ['../x', 'a/b', '..', '']) {
+    assert.throws(() => generateModule(config, name), /Module names start with a letter/);
+  }
+  assert.deepEqual(fs.readdirSync(root), ['Vineta']);
+});
+
+test('an existing module is only replaced with force', t => {
+  const { config } = theme(t, { 'Vineta/modules/why.twig': 'mine' });
+  assert.throws(() => generateModule(config, 'why'), /already exists, pass --force/);
+  assert.equal(fs.readFileSync(path.join(config.folderPath, 'modules/why.twig'), 'utf-8'), 'mine');
+  assert.equal(fs.existsSync(path.join(config.assetsPath, 'why.ltr.css')), false);
+
+  generateModule(config, 'why', { force: true });
+  assert.notEqual(fs.readFileSync(path.join(config.folderPath, 'modules/why.twig'), 'utf-8'), 'mine');
+});
+
+test('the generated module passes the schema check', t => {
+  for (const layout of ['grid', 'carousel']) {
+    const { config } = theme(t);
+    generateModule(config, 'whySection', { layout });
+    const { errors, warnings } = checkModuleSchema(config.folderPath, 'modules/whySection.twig');
+    assert.deepEqual(errors, [], layout);
+    assert.deepEqual(warnings, [], layout);
+  }
+});
+
+test('layout.twig loads the stylesheets once, after the other page styles', t => {
+  const { config } = theme(t);
+  const result = generateModule(config, 'why');
+  assert.equal(result.linked, true);
+  generateModule(config, 'why', { force: true });
+
+  const layout = fs.readFileSync(path.join(config.folderPath, 'layout.twig'), 'utf-8');
+  assert.equal(layout, LAYOUT
+    .replace('home-page.rtl.css" />', 'home-page.rtl.css" />\n    <link rel="stylesheet" href="http://127.0.0.1:5500/assets/why.rtl.css" />')
+    .replace('home-page.ltr.css" />', 'home-page.ltr.css" />\n    <link rel="stylesheet" href="http://127.0.0.1:5500/assets/why.ltr.css" />'));
+  assert.doesNotMatch(fs.readFileSync(path.join(config.folderPath, 'modules/why.twig'), 'utf-8'), /<link/);
+});
+
+test('a layout without page stylesheets is left alone', t => {
+  const { config } = theme(t, { 'Vineta/layout.twig': '<head></head>\n' });
+  assert.equal(generateModule(config, 'why').linked, false);
+  assert.equal(fs.readFileSync(path.join(config.folderPath, 'layout.twig'), 'utf-8'), '<head></head>\n');
+});
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockZidServer } from '../lib/mock-zid-server.js';
+import { loadConfig } from '../lib/config.js';
+import { REQUIRED_FILES, REQUIRED_TEMPLATES } from '../lib/validator.js';
+
+// Writes `files` (relative path → content) into a fresh temp folder that is
+// removed when the test ends.
+export function tempTheme(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zid-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+// Vineta/ with every file validation requires, then `files` on top.
+export function validTheme(files = {}) {
+  const required = [...REQUIRED_FILES, ...REQUIRED_TEMPLATES].map(file => [`Vineta/${file}`, '{{ store.name }}']);
+  return { ...Object.fromEntries(required), ...files };
+}
+
+// Serves the mock dashboard with theme `t1` until the test ends and
+// resolves to a config that uploads `root`/Vineta to it, with the zip,
+// session and state files kept under `root`.
+export async function mockDashboard(t, root, overrides = {}) {
+  const mock = createMockZidServer({ themes: [{ id: 't1', name: 'Test' }] });
+  const baseUrl = await mock.listen();
+  t.after(() => mock.close());
+  const flags = { 'base-url': baseUrl, 'theme-id': 't1', 'theme-name': 'Test', 'theme-code': 'test', email: 'a@b.c', password: 'x' };
+  const config = {
+    ...loadConfig(flags, {}, {}),
+    folderPath: path.join(root, 'Vineta'),
+    assetsPath: path.join(root, 'assets'),
+    zipPath: path.join(root, 'zip', 'Vineta.zip'),
+    cookiesFile: path.join(root, 'cookies.json'),
+    stateDir: path.join(root, '.zid'),
+    ...overrides
+  };
+  return { mock, config };
+}
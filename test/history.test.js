@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { uploadTheme, rollbackTheme } from '../lib/themes.js';
+import { listHistory, getHistoryEntry } from '../lib/history.js';
+import { PASSPHRASE_ENV } from '../lib/session-store.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme, validTheme, mockDashboard } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+process.env[PASSPHRASE_ENV] = 'test passphrase';
+
+test('rollback re-uploads the archived zip', async t => {
+  const root = tempTheme(t, validTheme({ 'Vineta/home.twig': '<h1>One</h1>' }));
+  const { mock, config } = await mockDashboard(t, root);
+
+  const first = await uploadTheme(config);
+  const live = mock.state.packages.get('t1');
+  fs.writeFileSync(path.join(root, 'Vineta/home.twig'), '<h1>Two</h1>');
+  await uploadTheme(config);
+  assert.notDeepEqual(mock.state.packages.get('t1'), live);
+
+  const entry = getHistoryEntry(config, 2);
+  assert.equal(entry.hash, first.hash);
+  assert.deepEqual(entry.changed, { added: Object.keys(entry.fileHashes), modified: [], removed: [] });
+
+  const result = await rollbackTheme(config, 2);
+  assert.equal(result.rollbackOf, entry.id);
+  assert.deepEqual(mock.state.packages.get('t1'), live);
+  assert.equal(mock.state.uploads.length, 3);
+
+  // The rollback is archived too, so the tree on disk is one change away.
+  const [latest] = listHistory(config);
+  assert.equal(latest.rollbackOf, entry.id);
+  assert.deepEqual(latest.changed, { added: [], modified: ['home.twig'], removed: [] });
+  assert.equal((await uploadTheme(config)).status, 'uploaded');
+});
+
+test('rollback past the history fails before uploading', async t => {
+  const root = tempTheme(t, validTheme());
+  const { mock, config } = await mockDashboard(t, root);
+  await assert.rejects(rollbackTheme(config, 1), /No upload history for theme t1 yet/);
+  await uploadTheme(config);
+  await assert.rejects(rollbackTheme(config, 2), /expected a number from 1 to 1/);
+  assert.equal(mock.state.uploads.length, 1);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { bypassesProxy, requestOptions } from '../lib/http.js';
+
+test('NO_PROXY hosts match themselves and their subdomains', () => {
+  const noProxy = 'localhost, .internal.example,127.0.0.1 mock.test:4100';
+  assert.ok(bypassesProxy('http://localhost:4100', noProxy));
+  assert.ok(bypassesProxy('http://127.0.0.1:4100/api', noProxy));
+  assert.ok(bypassesProxy('https://web.internal.example', noProxy));
+  assert.ok(bypassesProxy('https://internal.example', noProxy));
+  assert.ok(bypassesProxy('http://mock.test:4100', noProxy));
+  assert.ok(!bypassesProxy('http://mock.test:4200', noProxy));
+  assert.ok(!bypassesProxy('https://web.zid.sa', noProxy));
+  assert.ok(!bypassesProxy('https://notlocalhost', noProxy));
+});
+
+test('a wildcard, IPv6 entries and an empty NO_PROXY', () => {
+  assert.ok(bypassesProxy('https://web.zid.sa', '*'));
+  assert.ok(bypassesProxy('http://[::1]:4100', '::1'));
+  assert.ok(bypassesProxy('http://[::1]:4100', '[::1]:4100'));
+  assert.ok(!bypassesProxy('https://web.zid.sa', ''));
+  assert.ok(!bypassesProxy('https://web.zid.sa', undefined));
+});
+
+test('the proxy agent is only used for hosts NO_PROXY does not list', () => {
+  const config = { baseUrl: 'http://localhost:4100', proxy: 'http://proxy.corp:3128' };
+  assert.notEqual(requestOptions(config).httpAgent, http.globalAgent);
+  assert.equal(requestOptions({ ...config, noProxy: 'localhost' }).httpAgent, http.globalAgent);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { checkLocales, fixLocales } from '../lib/i18n.js';
+import { tempTheme } from './helpers.js';
+
+const EN = `{
+    "home": "Home",
+    "cart": {
+        "title": "Cart"
+    },
+    "shared": "Zid",
+    "old": "Old"
+}
+`;
+const AR = `{
+    "home": "الرئيسية",
+    "home": "الصفحة الرئيسية",
+    "shared": "Zid",
+    "extra": "إضافي"
+}
+`;
+const TEMPLATE = `<a>{{ locals.home }}</a>
+<h1>{{ locals.cart.title }}</h1>
+<p>{{ locals['shared'] }} {{ locals.search_placeholder }} {{ locals.extra }}</p>
+<p>{{ locals[key] }}</p>
+`;
+
+function theme(t) {
+  return tempTheme(t, {
+    'locals/en.json': EN,
+    'locals/ar.json': AR,
+    'layout.twig': TEMPLATE,
+    'assets/main.js': 'alert(locals.profile.name);'
+  });
+}
+
+const keys = list => list.map(entry => entry.key);
+
+test('missing keys come from the templates, the scripts and the other language', t => {
+  const report = checkLocales(theme(t));
+  assert.deepEqual(keys(report.missing.en), ['extra', 'profile.name', 'search_placeholder']);
+  assert.deepEqual(keys(report.missing.ar), ['cart.title', 'old', 'profile.name', 'search_placeholder']);
+  assert.deepEqual(report.missing.en.find(entry => entry.key === 'search_placeholder').references, [{ file: 'layout.twig', line: 3, col: 30 }]);
+  assert.deepEqual(report.missing.ar.find(entry => entry.key === 'old').references, []);
+});
+
+test('unused, identical and duplicate keys are reported', t => {
+  const report = checkLocales(theme(t));
+  assert.deepEqual(report.unused, ['old']);
+  assert.deepEqual(report.identical, ['shared']);
+  assert.deepEqual(report.duplicates, { en: [], ar: [{ key: 'home', line: 3 }] });
+});
+
+test('--fix appends placeholders and keeps the formatting and key order', t => {
+  const folder = tempTheme(t, {
+    'locals/en.json': '{\n  "home": "Home",\n  "old": "Old"\n}\n',
+    'locals/ar.json': '{\n\t"home": "الرئيسية"\n}\n',
+    'layout.twig': '{{ locals.home }} {{ locals.search_placeholder }}'
+  });
+  const added = fixLocales(checkLocales(folder));
+  assert.deepEqual(added, { en: ['search_placeholder'], ar: ['old', 'search_placeholder'] });
+  const read = lang => fs.readFileSync(path.join(folder, 'locals', `${lang}.json`), 'utf-8');
+  assert.equal(read('en'), '{\n  "home": "Home",\n  "old": "Old",\n  "search_placeholder": "Search placeholder"\n}\n');
+  assert.equal(read('ar'), '{\n\t"home": "الرئيسية",\n\t"old": "Old",\n\t"search_placeholder": "Search placeholder"\n}\n');
+});
+
+test('a second --fix changes nothing', t => {
+  const folder = theme(t);
+  fixLocales(checkLocales(folder));
+  const files = ['en', 'ar'].map(lang => path.join(folder, 'locals', `${lang}.json`));
+  const first = files.map(file => fs.readFileSync(file, 'utf-8'));
+  const report = checkLocales(folder);
+  assert.deepEqual(keys(report.missing.en), []);
+  assert.deepEqual(keys(report.missing.ar), []);
+  assert.deepEqual(fixLocales(report), { en: [], ar: [] });
+  assert.deepEqual(files.map(file => fs.readFileSync(file, 'utf-8')), first);
+});
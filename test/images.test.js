@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { optimizeImages } from '../lib/images.js';
+import { packageOptions } from '../lib/themes.js';
+import { packageTheme } from '../lib/packager.js';
+import { readZipBuffer } from '../lib/zip.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+
+const sharp = await import('sharp').then(module => module.default, () => null);
+
+async function images() {
+  const raw = { width: 64, height: 64, channels: 3 };
+  const pixels = Buffer.alloc(64 * 64 * 3, 200);
+  const png = await sharp(pixels, { raw }).png({ compressionLevel: 0 }).toBuffer();
+  const jpeg = await sharp(pixels, { raw }).jpeg().withMetadata({ exif: { IFD0: { Copyright: 'Vineta' } } }).toBuffer();
+  return { png, jpeg };
+}
+
+test('optimized images go into the package and the folder is left alone', { skip: !sharp && 'sharp is not installed' }, async t => {
+  const { png, jpeg } = await images();
+  const root = tempTheme(t, { 'Vineta/assets/logo.png': png, 'Vineta/assets/hero.jpg': jpeg });
+  const config = { folderPath: path.join(root, 'Vineta'), assetsPath: path.join(root, 'assets'), stateDir: path.join(root, '.zid'), imageBudgetKb: 200, optimizeImages: true, cacheBust: true };
+
+  const result = await optimizeImages(config);
+  assert.deepEqual(result.optimized, ['assets/hero.jpg', 'assets/logo.png']);
+  assert.deepEqual(fs.readFileSync(path.join(root, 'Vineta/assets/logo.png')), png);
+  assert.deepEqual(fs.readFileSync(path.join(root, 'Vineta/assets/hero.jpg')), jpeg);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'Vineta/assets')).sort(), ['hero.jpg', 'logo.png']);
+
+  const zipPath = path.join(root, 'theme.zip');
+  packageTheme({ ...packageOptions(config), zipPath });
+  const packaged = Object.fromEntries(readZipBuffer(fs.readFileSync(zipPath)).map(entry => [entry.path, entry.data]));
+  assert.ok(packaged['assets/logo.png'].length < png.length);
+  const decode = data => sharp(data).raw().toBuffer();
+  assert.deepEqual(await decode(packaged['assets/logo.png']), await decode(png));
+  assert.ok(packaged['assets/hero.jpg'].length < jpeg.length);
+  assert.equal((await sharp(packaged['assets/hero.jpg']).metadata()).exif, undefined);
+
+  // Without the option the package keeps the originals.
+  packageTheme({ ...packageOptions({ ...config, optimizeImages: false }), zipPath });
+  assert.deepEqual(readZipBuffer(fs.readFileSync(zipPath)).find(entry => entry.path === 'assets/logo.png').data, png);
+  assert.equal((await optimizeImages(config)).cached, 2);
+});
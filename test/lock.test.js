@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { acquireLock, withLock, isStale, lockFile, readLock, LOCK_HEARTBEAT_MS, LOCK_STALE_MS } from '../lib/lock.js';
+import { LockError } from '../lib/errors.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+
+const lockConfig = (t, extra = {}) => ({ themeId: 'theme-1', lockDir: tempTheme(t), ...extra });
+
+// What another process writes when it holds the lock.
+function foreignLock(config, overrides = {}) {
+  const now = new Date().toISOString();
+  const lock = { token: 'other', themeId: config.themeId, pid: 1, host: 'elsewhere', user: 'sam', command: 'upload', cwd: '/', startedAt: now, heartbeatAt: now, ...overrides };
+  fs.writeFileSync(lockFile(config), JSON.stringify(lock));
+  return lock;
+}
+
+test('the lock file exists while held and is removed on release', t => {
+  const config = lockConfig(t);
+  const unlock = acquireLock(config, 'upload');
+  const lock = readLock(lockFile(config));
+  assert.equal(lock.pid, process.pid);
+  assert.equal(lock.command, 'upload');
+  unlock();
+  assert.equal(fs.existsSync(lockFile(config)), false);
+});
+
+test('this process can take a lock it holds again', async t => {
+  const config = lockConfig(t);
+  const unlock = acquireLock(config, 'watch');
+  assert.equal(await withLock(config, 'upload', async () => 'uploaded'), 'uploaded');
+  assert.ok(fs.existsSync(lockFile(config)));
+  unlock();
+  assert.equal(fs.existsSync(lockFile(config)), false);
+});
+
+test('a live lock held elsewhere refuses the upload unless stolen', t => {
+  const config = lockConfig(t);
+  foreignLock(config);
+  assert.throws(() => acquireLock(config, 'upload'), err => err instanceof LockError && /sam@elsewhere/.test(err.message));
+
+  const unlock = acquireLock({ ...config, stealLock: true }, 'upload');
+  assert.equal(readLock(lockFile(config)).pid, process.pid);
+  unlock();
+});
+
+test('stale locks are replaced', t => {
+  const now = Date.now();
+  assert.equal(isStale(null), true);
+  assert.equal(isStale({ host: 'elsewhere', pid: 1, heartbeatAt: new Date(now).toISOString() }, now), false);
+  assert.equal(isStale({ host: 'elsewhere', pid: 1, heartbeatAt: new Date(now - LOCK_STALE_MS - 1).toISOString() }, now), true);
+  assert.equal(isStale({ host: os.hostname(), pid: process.pid, heartbeatAt: new Date(now).toISOString() }, now), false);
+
+  const config = lockConfig(t);
+  foreignLock(config, { heartbeatAt: new Date(now - LOCK_STALE_MS - 1000).toISOString() });
+  const unlock = acquireLock(config, 'upload');
+  assert.equal(readLock(lockFile(config)).pid, process.pid);
+  unlock();
+});
+
+test('heartbeats replace the lock file whole', t => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const config = lockConfig(t);
+  const unlock = acquireLock(config, 'watch');
+  const written = readLock(lockFile(config));
+  fs.writeFileSync(lockFile(config), JSON.stringify({ ...written, heartbeatAt: new Date(0).toISOString() }));
+  t.mock.timers.tick(LOCK_HEARTBEAT_MS);
+  const beat = readLock(lockFile(config));
+  assert.equal(beat.token, written.token);
+  assert.notEqual(beat.heartbeatAt, new Date(0).toISOString());
+  assert.deepEqual(fs.readdirSync(config.lockDir), [path.basename(lockFile(config))]);
+  unlock();
+});
+
+test('a lock file that cannot be read counts as held until it is stale', t => {
+  const config = lockConfig(t);
+  fs.writeFileSync(lockFile(config), '{"token": "par');
+  assert.throws(() => acquireLock(config, 'upload'), /could not be read/);
+
+  const old = new Date(Date.now() - LOCK_STALE_MS - 1000);
+  fs.utimesSync(lockFile(config), old, old);
+  const unlock = acquireLock(config, 'upload');
+  assert.equal(readLock(lockFile(config)).pid, process.pid);
+  unlock();
+  assert.deepEqual(fs.readdirSync(config.lockDir), []);
+});
+
+test('a holder whose lock was taken over stops uploading', async t => {
+  const config = lockConfig(t);
+  const lost = [];
+  const unlock = acquireLock(config, 'watch', { onLost: err => lost.push(err) });
+  foreignLock(config);
+
+  let uploaded = false;
+  await assert.rejects(withLock(config, 'watch', async () => {
+    uploaded = true;
+  }), /was taken over by sam@elsewhere/);
+  assert.equal(uploaded, false);
+  assert.equal(lost.length, 1);
+
+  unlock();
+  assert.equal(readLock(lockFile(config)).token, 'other', 'the new owner keeps its lock');
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockZidServer, SESSION_COOKIE } from '../lib/mock-zid-server.js';
+
+async function serve(t, options) {
+  const mock = createMockZidServer(options);
+  const url = await mock.listen();
+  t.after(() => mock.close());
+  return { mock, url };
+}
+
+// A cookie jar and the X-XSRF-TOKEN header, as the uploader keeps them.
+function browser(url) {
+  const jar = new Map();
+  const request = async (method, pathname, body) => {
+    const xsrf = jar.get('XSRF-TOKEN');
+    const res = await fetch(url + pathname, {
+      method,
+      headers: {
+        cookie: [...jar].map(([name, value]) => `${name}=${value}`).join('; '),
+        ...(xsrf ? { 'x-xsrf-token': decodeURIComponent(xsrf) } : {}),
+        ...(body ? { 'content-type': 'application/json' } : {})
+      },
+      body: body && JSON.stringify(body)
+    });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair] = cookie.split(';');
+      jar.set(pair.slice(0, pair.indexOf('=')), pair.slice(pair.indexOf('=') + 1));
+    }
+    return res;
+  };
+  return { jar, request };
+}
+
+test('logging in needs the session and XSRF cookies from the login page', async t => {
+  const { url } = await serve(t, { credentials: { email: 'a@b.c', password: 'x' } });
+  const { jar, request } = browser(url);
+
+  assert.equal((await request('POST', '/api/v1/login', { email: 'a@b.c', password: 'x' })).status, 419);
+  await request('GET', '/login');
+  assert.ok(jar.has(SESSION_COOKIE) && jar.has('XSRF-TOKEN'));
+  assert.equal((await request('GET', '/api/v1/account')).status, 401);
+  assert.equal((await request('POST', '/api/v1/login', { email: 'a@b.c', password: 'wrong' })).status, 422);
+  assert.equal((await request('POST', '/api/v1/login', { email: 'a@b.c', password: 'x' })).status, 200);
+  assert.equal((await request('GET', '/api/v1/account')).status, 200);
+
+  assert.equal((await request('POST', '/api/v1/logout')).status, 200);
+  assert.equal((await request('GET', '/api/v1/account')).status, 401);
+});
+
+test('a one-time code completes the login when one is set', async t => {
+  const { url } = await serve(t, { otp: '123456' });
+  const { request } = browser(url);
+  await request('GET', '/login');
+  assert.deepEqual(await (await request('POST', '/api/v1/login', { email: 'a@b.c', password: 'x' })).json(), { status: 'success', otp_required: true });
+  assert.equal((await request('GET', '/api/v1/account')).status, 401);
+  assert.equal((await request('POST', '/api/v1/login/otp', { otp: '000000' })).status, 422);
+  assert.equal((await request('POST', '/api/v1/login/otp', { otp: '123456' })).status, 200);
+  assert.equal((await request('GET', '/api/v1/account')).status, 200);
+});
+
+test('sessions handed out directly work until they expire', async t => {
+  const { mock, url } = await serve(t);
+  const { jar, request } = browser(url);
+  for (const { name, value } of mock.state.createSession()) jar.set(name, value);
+  assert.equal((await request('GET', '/api/v1/themes')).status, 200);
+  mock.state.expireSessions();
+  assert.equal((await request('GET', '/api/v1/themes')).status, 401);
+});
+
+test('queued failures hit the next matching requests only', async t => {
+  const { mock, url } = await serve(t, { themes: [{ id: 't1', name: 'Test' }] });
+  const { jar, request } = browser(url);
+  for (const { name, value } of mock.state.createSession()) jar.set(name, value);
+
+  assert.throws(() => mock.state.fail('teapot'), /Unknown failure mode "teapot"/);
+  assert.equal((await request('POST', '/__mock/fail', { mode: 'server-error', times: 2 })).status, 200);
+  assert.equal((await request('GET', '/api/v1/themes')).status, 500);
+  assert.equal((await request('GET', '/api/v1/account')).status, 500);
+  const themes = await request('GET', '/api/v1/themes');
+  assert.equal(themes.status, 200);
+  assert.deepEqual((await themes.json()).data.map(theme => [theme.id, theme.status]), [['t1', 'draft']]);
+
+  mock.state.fail('validation');
+  const rejected = await request('POST', '/api/v1/themes/t1/update');
+  assert.equal(rejected.status, 200);
+  assert.equal((await rejected.json()).message, 'The file must be a valid theme archive.');
+  assert.equal((await (await request('POST', '/api/v1/themes/t1/update')).json()).message, 'The file field is required.');
+});
+
+test('uploaded packages can be downloaded again', async t => {
+  const { mock, url } = await serve(t, { themes: [{ id: 't1', name: 'Test' }] });
+  const { jar } = browser(url);
+  for (const { name, value } of mock.state.createSession()) jar.set(name, value);
+  const headers = {
+    cookie: [...jar].map(([name, value]) => `${name}=${value}`).join('; '),
+    'x-xsrf-token': decodeURIComponent(jar.get('XSRF-TOKEN'))
+  };
+
+  assert.equal((await fetch(`${url}/api/v1/themes/t1/download`, { headers })).status, 404);
+  const form = new FormData();
+  form.append('name', 'Test');
+  form.append('code', 'test');
+  form.append('file', new Blob([Buffer.from('PK zip bytes')]), 'theme.zip');
+  const update = await fetch(`${url}/api/v1/themes/t1/update`, { method: 'POST', headers, body: form });
+  assert.equal((await update.json()).status, 'success');
+
+  const download = await fetch(`${url}/api/v1/themes/t1/download`, { headers });
+  assert.equal(download.headers.get('content-type'), 'application/zip');
+  assert.equal(Buffer.from(await download.arrayBuffer()).toString(), 'PK zip bytes');
+  assert.deepEqual(mock.state.uploads.map(({ themeId, name, code, size }) => ({ themeId, name, code, size })), [{ themeId: 't1', name: 'Test', code: 'test', size: 12 }]);
+  assert.equal((await fetch(`${url}/__mock/uploads`)).status, 200);
+  assert.equal((await fetch(`${url}/api/v1/themes/t2/download`, { headers })).status, 404);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadIgnoreRules, isIgnored, collectThemeFiles, IGNORE_FILE } from '../lib/packager.js';
+import { tempTheme } from './helpers.js';
+
+test('.zidignore rules follow gitignore matching', t => {
+  const dir = tempTheme(t, { [IGNORE_FILE]: '# notes\n*.map\n/drafts\nbuild/\n!keep.map\nassets/*.psd\n' });
+  const rules = loadIgnoreRules(dir);
+
+  assert.equal(isIgnored('assets/app.js.map', rules), true);
+  assert.equal(isIgnored('keep.map', rules), false);
+  assert.equal(isIgnored('drafts/a.twig', rules), true);
+  assert.equal(isIgnored('templates/drafts/a.twig', rules), false);
+  assert.equal(isIgnored('build/x.css', rules), true);
+  assert.equal(isIgnored('build', rules), false);
+  assert.equal(isIgnored('assets/logo.psd', rules), true);
+  assert.equal(isIgnored('assets/sub/logo.psd', rules), false);
+  assert.equal(isIgnored('layout.twig', rules), false);
+});
+
+test('no .zidignore means nothing is ignored', t => {
+  const dir = tempTheme(t, { 'layout.twig': '' });
+  assert.deepEqual(loadIgnoreRules(dir), []);
+});
+
+test('collectThemeFiles skips ignored files and the ignore file itself', t => {
+  const dir = tempTheme(t, {
+    [IGNORE_FILE]: '*.log\n',
+    'layout.twig': 'x',
+    'templates/home.twig': 'y',
+    'debug.log': 'z'
+  });
+  assert.deepEqual(collectThemeFiles(dir).map(file => file.path), ['layout.twig', 'templates/home.twig']);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { startPreviewServer } from '../lib/preview-server.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+
+async function preview(t) {
+  const root = tempTheme(t, {
+    'Vineta/layout.twig': `<html><head><link rel="stylesheet" href="http://127.0.0.1:5500/assets/general.{{ session.lang.code == 'ar' ? 'rtl' : 'ltr' }}.css" /></head><body>{% block content %}{% endblock %}</body></html>`,
+    'Vineta/templates/home.twig': `{% extends 'layout.twig' %}{% block content %}<h1>{{ store.name }}: {{ locals.welcome }}</h1>{% endblock %}`,
+    'Vineta/templates/broken.twig': `{{ store.name | nope }}`,
+    'Vineta/locals/en.json': '{ "welcome": "Welcome" }',
+    'Vineta/locals/ar.json': '{ "welcome": "أهلا" }',
+    'Vineta/assets/logo.svg': '<svg/>',
+    'fixtures/store.json': '{ "name": "Vineta" }',
+    'assets/general.ltr.css': '.a { margin-left: 1px }'
+  });
+  const server = await startPreviewServer({
+    folder: path.join(root, 'Vineta'),
+    fixturesDir: path.join(root, 'fixtures'),
+    sourceAssets: path.join(root, 'assets'),
+    port: 0
+  });
+  t.after(() => server.close());
+  return server.url;
+}
+
+test('pages render with fixtures, the chosen language and live reload', async t => {
+  const url = await preview(t);
+  const ar = await fetch(`${url}/`);
+  assert.equal(ar.status, 200);
+  const html = await ar.text();
+  assert.match(html, /<h1>Vineta: أهلا<\/h1>/);
+  assert.match(html, /href="\/assets\/general\.rtl\.css"/);
+  assert.match(html, /new EventSource\('\/__preview\/reload'\)/);
+
+  const en = await fetch(`${url}/home?lang=en`);
+  assert.equal(en.headers.get('set-cookie'), 'preview_lang=en; Path=/');
+  assert.match(await en.text(), /<h1>Vineta: Welcome<\/h1>/);
+  const remembered = await fetch(`${url}/`, { headers: { cookie: 'preview_lang=en' } });
+  assert.match(await remembered.text(), /Welcome/);
+});
+
+test('source stylesheets are served unbuilt, with their RTL twin generated', async t => {
+  const url = await preview(t);
+  assert.equal(await (await fetch(`${url}/assets/general.ltr.css`)).text(), '.a { margin-left: 1px }');
+  assert.match(await (await fetch(`${url}/assets/general.rtl.css`)).text(), /margin-right: 1px/);
+  const logo = await fetch(`${url}/assets/logo.svg`);
+  assert.equal(logo.headers.get('content-type'), 'image/svg+xml');
+  assert.equal(await logo.text(), '<svg/>');
+});
+
+test('bad paths get 400 or 404 and template errors 500', async t => {
+  const url = await preview(t);
+  assert.equal((await fetch(`${url}/assets/%E0%A4`)).status, 400);
+  assert.equal((await fetch(`${url}/assets/%2e%2e%2flayout.twig`)).status, 404);
+  assert.equal((await fetch(`${url}/assets/missing.png`)).status, 404);
+  assert.equal((await fetch(`${url}/no-such-page`)).status, 404);
+  const broken = await fetch(`${url}/broken`);
+  assert.equal(broken.status, 500);
+  assert.match(await broken.text(), /Failed to render templates\/broken\.twig/);
+});
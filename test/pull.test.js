@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { pullTheme } from '../lib/pull.js';
+import { uploadTheme } from '../lib/themes.js';
+import { createZipBuffer } from '../lib/zip.js';
+import { PASSPHRASE_ENV } from '../lib/session-store.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme, validTheme, mockDashboard } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+process.env[PASSPHRASE_ENV] = 'test passphrase';
+
+test('entries that point outside the theme folder are refused before anything is written', async t => {
+  const root = tempTheme(t, validTheme());
+  const { mock, config } = await mockDashboard(t, root);
+  const before = [...fs.readdirSync(root), 'cookies.json'].sort();
+
+  for (const file of ['../evil.twig', 'Vineta/../../evil.twig', '/etc/evil.twig', 'C:/evil.twig', '..\\evil.twig']) {
+    mock.state.packages.set('t1', createZipBuffer([{ path: 'home.twig', data: Buffer.from('x') }, { path: file, data: Buffer.from('pwned') }]));
+    for (const keepTemp of [false, true]) {
+      await assert.rejects(pullTheme(config, { overwrite: true, yes: true, keepTemp }), /Refusing to pull .*outside the theme folder/, file);
+    }
+  }
+  assert.deepEqual(fs.readdirSync(root).sort(), before);
+  assert.equal(fs.readFileSync(path.join(root, 'Vineta/templates/home.twig'), 'utf-8'), '{{ store.name }}');
+});
+
+test('the live package is only unpacked with keepTemp', async t => {
+  const root = tempTheme(t, validTheme());
+  const { config } = await mockDashboard(t, root);
+  await uploadTheme(config);
+
+  assert.equal((await pullTheme(config)).tempDir, null);
+  const { tempDir } = await pullTheme(config, { keepTemp: true });
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  assert.equal(fs.readFileSync(path.join(tempDir, 'templates/home.twig'), 'utf-8'), '{{ store.name }}');
+});
+
+test('assets the package leaves out are left out of the comparison', async t => {
+  const root = tempTheme(t, validTheme({
+    'Vineta/layout.twig': `{{ asset_url ~ 'used.png' }}`,
+    'Vineta/assets/used.png': 'a',
+    'Vineta/assets/unused.png': 'b'
+  }));
+  const { config } = await mockDashboard(t, root, { pruneAssets: true });
+  await uploadTheme(config);
+
+  const diff = await pullTheme(config);
+  assert.deepEqual([diff.added, diff.removed, diff.modified], [[], [], []]);
+});
+
+test('overwriting writes the sources back, so the next pull finds nothing to change', async t => {
+  const root = tempTheme(t, validTheme({
+    'Vineta/layout.twig': [
+      '<link rel="stylesheet" href="http://127.0.0.1:5500/assets/general.ltr.css" />',
+      `<link rel='stylesheet' href='http://localhost:5500/assets/general.rtl.css' />`,
+      `<script src="{{ asset_url ~ 'main.js' }}"></script>`
+    ].join('\n'),
+    'Vineta/assets/main.js': 'run()',
+    'assets/general.ltr.css': '.a {\n  margin-left: 1px;\n}\n'
+  }));
+  const { config } = await mockDashboard(t, root);
+  await uploadTheme(config);
+  const layout = fs.readFileSync(path.join(root, 'Vineta/layout.twig'), 'utf-8');
+
+  fs.writeFileSync(path.join(root, 'assets/general.ltr.css'), '.a { margin-left: 2px }');
+  fs.appendFileSync(path.join(root, 'Vineta/layout.twig'), '\n<p>local</p>');
+  fs.writeFileSync(path.join(root, 'Vineta/assets/main.js'), 'run(1)');
+  fs.rmSync(path.join(root, 'Vineta/templates/404.twig'));
+
+  const diff = await pullTheme(config, { overwrite: true, yes: true });
+  assert.deepEqual(diff.added, ['templates/404.twig']);
+  assert.deepEqual(diff.modified, ['assets/general.ltr.css', 'assets/general.rtl.css', 'assets/main.js', 'layout.twig']);
+
+  assert.equal(fs.readFileSync(path.join(root, 'Vineta/layout.twig'), 'utf-8'), layout);
+  assert.equal(fs.readFileSync(path.join(root, 'assets/general.ltr.css'), 'utf-8'), '.a{margin-left:1px}');
+  assert.equal(fs.existsSync(path.join(root, 'assets/general.rtl.css')), false);
+  assert.equal(fs.existsSync(path.join(root, 'Vineta/assets/general.ltr.css')), false);
+  assert.equal(fs.readFileSync(path.join(root, 'Vineta/assets/main.js'), 'utf-8'), 'run()');
+  assert.equal(fs.readFileSync(path.join(root, 'Vineta/templates/404.twig'), 'utf-8'), '{{ store.name }}');
+
+  const again = await pullTheme(config);
+  assert.deepEqual([again.added, again.removed, again.modified], [[], [], []]);
+  assert.equal((await uploadTheme(config)).status, 'skipped');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay, withRetry } from '../lib/retry.js';
+import { AuthError, NetworkError, ServerError, ValidationError } from '../lib/errors.js';
+
+const fast = { baseDelayMs: 1, maxDelayMs: 4 };
+
+test('backoff doubles up to the cap', () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 15000 };
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(n => backoffDelay(n, policy)), [1000, 2000, 4000, 8000, 15000, 15000]);
+});
+
+test('transient errors are retried until an attempt succeeds', async () => {
+  const retries = [];
+  const result = await withRetry(async attempt => {
+    if (attempt === 1) throw new NetworkError('down');
+    if (attempt === 2) throw new ServerError('502');
+    return attempt;
+  }, { ...fast, maxAttempts: 3, onRetry: (err, attempt, delay) => retries.push([err.constructor.name, attempt, delay]) });
+  assert.equal(result, 3);
+  assert.deepEqual(retries, [['NetworkError', 1, 1], ['ServerError', 2, 2]]);
+});
+
+test('gives up after maxAttempts with the last error', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new ServerError('still down');
+  }, { ...fast, maxAttempts: 2 }), ServerError);
+  assert.equal(calls, 2);
+});
+
+test('validation errors are final', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new ValidationError('bad');
+  }, fast), ValidationError);
+  assert.equal(calls, 1);
+});
+
+test('an auth error is retried once after onAuthError', async () => {
+  let reauths = 0;
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new AuthError('expired');
+  }, { ...fast, maxAttempts: 5, onAuthError: async () => reauths++ }), AuthError);
+  assert.equal(reauths, 1);
+  assert.equal(calls, 2);
+
+  await assert.rejects(withRetry(async () => {
+    throw new AuthError('expired');
+  }, fast), AuthError);
+});
+
+test('axios-style errors are classified before deciding', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => {
+    if (++calls === 1) throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+    return 'ok';
+  }, fast);
+  assert.equal(result, 'ok');
+});
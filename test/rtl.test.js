@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { flipCss, flipProperty, flipValue } from '../lib/rtl.js';
+import { checkRtlStyles } from '../lib/build.js';
+import { tempTheme } from './helpers.js';
+
+test('horizontal properties swap sides', () => {
+  assert.equal(flipProperty('margin-left'), 'margin-right');
+  assert.equal(flipProperty('border-top-right-radius'), 'border-top-left-radius');
+  assert.equal(flipProperty('padding-top'), 'padding-top');
+  assert.equal(flipCss('.a { left: 0; padding-right: 4px; }'), '.a { right: 0; padding-left: 4px; }');
+});
+
+test('values mirror', () => {
+  assert.equal(flipValue('float', 'left'), 'right');
+  assert.equal(flipValue('text-align', 'right'), 'left');
+  assert.equal(flipValue('margin', '1px 2px 3px 4px'), '1px 4px 3px 2px');
+  assert.equal(flipValue('margin', '1px 2px'), '1px 2px');
+  assert.equal(flipValue('border-radius', '1px 2px 3px 4px'), '2px 1px 4px 3px');
+  assert.equal(flipValue('box-shadow', 'inset 2px 1px red, -3px 0 blue'), 'inset -2px 1px red, 3px 0 blue');
+  assert.equal(flipValue('transform', 'translateX(10px) rotate(45deg)'), 'translateX(-10px) rotate(-45deg)');
+  assert.equal(flipValue('transform', 'translate(var(--x), 5px)'), 'translate(calc(-1 * var(--x)), 5px)');
+  assert.equal(flipValue('background-position', '25% 50%'), '75% 50%');
+  assert.equal(flipValue('direction', 'ltr'), 'rtl');
+  assert.equal(flipValue('cursor', 'ne-resize'), 'nw-resize');
+});
+
+test('urls, strings and custom properties are left alone', () => {
+  assert.equal(flipValue('background', 'url(img/left.png) left top'), 'url(img/left.png) right top');
+  assert.equal(flipCss('.a::before { content: "left"; --side: left; }'), '.a::before { content: "left"; --side: left; }');
+  assert.equal(flipValue('margin-left', '0'), '0');
+});
+
+test('directives override or skip the flip', () => {
+  assert.equal(flipCss('.a { /*rtl:ignore*/ float: left; margin-left: 0; }'), '.a {  float: left; margin-right: 0; }');
+  assert.equal(flipCss('/*rtl:ignore*/ .a { float: left; } .b { float: left; }'), ' .a { float: left; } .b { float: right; }');
+  assert.equal(flipCss('/*rtl:begin:ignore*/.a { float: left; }/*rtl:end:ignore*/.b { float: left; }'), '.a { float: left; }.b { float: right; }');
+  assert.equal(flipCss('.a { left: 10px /*rtl:auto*/; }'), '.a { right: auto ; }');
+  assert.equal(flipCss('.a { color: red; }/*rtl:raw:.b{float:none}*/'), '.a { color: red; }.b{float:none}');
+});
+
+test('nested rules flip too', () => {
+  assert.equal(flipCss('@media (min-width: 768px) { .a { margin-left: 1px; } }'), '@media (min-width: 768px) { .a { margin-right: 1px; } }');
+});
+
+test('hand-written RTL stylesheets are compared with the generated one', t => {
+  const assetsPath = tempTheme(t, {
+    'same.ltr.css': '.a { float: left; }',
+    'same.rtl.css': '.a {\n  float: right;\n}\n',
+    'drift.ltr.css': '.a { float: left; margin-left: 1px; }',
+    'drift.rtl.css': '.a { float: right; }',
+    'only.ltr.css': '.a { float: left; }'
+  });
+  const checks = checkRtlStyles({ assetsPath });
+  assert.deepEqual(checks.map(({ file, source, changes }) => [file, source, changes]), [
+    ['drift.rtl.css', 'drift.ltr.css', 3],
+    ['same.rtl.css', 'same.ltr.css', 0]
+  ]);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { checkModuleSchema, checkModuleSchemas, writeModuleDocs } from '../lib/schema-check.js';
+import { tempTheme } from './helpers.js';
+
+const schema = value => `{% schema %}\n${JSON.stringify(value, null, 2)}\n{% endschema %}`;
+
+const GOOD = `<h2>{{ settings.title }}</h2>
+{% if settings.style_layout == 'grid' %}{{ settings['show_more'] }}{% endif %}
+${schema({
+  name: { en: 'Why us', ar: 'لماذا نحن' },
+  settings: {
+    title: { type: 'text', label: { en: 'Title', ar: 'العنوان' } },
+    style: {
+      type: 'fieldset',
+      settings: {
+        layout: { type: 'select', default: 'grid', options: [{ value: 'grid', label: { en: 'Grid', ar: 'شبكة' } }, 'list'] }
+      }
+    },
+    show_more: { type: 'checkbox', label: { en: '', ar: '' }, option: { en: 'Show more', ar: 'عرض المزيد' } }
+  }
+})}
+`;
+
+const messages = list => list.map(({ line, message }) => `${line}: ${message}`);
+
+test('a module whose template and schema agree passes', t => {
+  const folder = tempTheme(t, { 'modules/why.twig': GOOD });
+  assert.deepEqual(checkModuleSchema(folder, 'modules/why.twig'), {
+    file: 'modules/why.twig',
+    schema: JSON.parse(GOOD.match(/\{% schema %\}([\s\S]*)\{% endschema %\}/)[1]),
+    errors: [],
+    warnings: []
+  });
+});
+
+test('reads without a setting, bad defaults, unused settings, unknown types and half-translated labels are reported', t => {
+  const folder = tempTheme(t, {
+    'modules/bad.twig': `{{ settings.title }} {{ settings.subtitle }}
+${schema({
+  settings: {
+    title: { type: 'txt', label: { en: 'Title' } },
+    size: { type: 'select', default: 'huge', options: ['s', 'm'], label: { en: 'Size', ar: 'الحجم' } }
+  }
+})}
+`
+  });
+  const { errors, warnings } = checkModuleSchema(folder, 'modules/bad.twig');
+  assert.deepEqual(messages(errors), [
+    '1: settings.subtitle is read but not defined in the schema',
+    '11: Default "huge" of "size" is not one of its options (s, m)'
+  ]);
+  assert.deepEqual(messages(warnings), [
+    '5: Setting "title" has unknown type "txt"',
+    '11: Setting "size" is never read by the template',
+    '5: settings.title.label has no Arabic text (missing)'
+  ]);
+});
+
+test('broken or missing schemas are errors with a position', t => {
+  const folder = tempTheme(t, {
+    'modules/a.twig': '{{ settings.x }}',
+    'modules/b.twig': '{% schema %}\n{\n  "settings": {,}\n}\n{% endschema %}'
+  });
+  const [a, b] = checkModuleSchemas(folder);
+  assert.deepEqual(messages(a.errors), ['0: Module has no {% schema %} block']);
+  assert.equal(b.errors.length, 1);
+  assert.equal(b.errors[0].line, 3);
+  assert.match(b.errors[0].message, /^Schema is not valid JSON/);
+});
+
+test('docs list every setting the way Twig reads it', t => {
+  const folder = tempTheme(t, { 'modules/why.twig': GOOD, 'modules/broken.twig': '{{ x }}' });
+  const [file] = writeModuleDocs(folder, path.join(folder, 'docs'));
+  assert.equal(path.basename(file), 'why.md');
+  const doc = fs.readFileSync(file, 'utf-8');
+  assert.match(doc, /^# Why us \/ لماذا نحن\n/);
+  assert.match(doc, /\| `style_layout` \| select \|  \|  \| grid \| grid, list \|/);
+  assert.match(doc, /\| `show_more` \| checkbox \| Show more \| عرض المزيد \|  \|  \|/);
+});
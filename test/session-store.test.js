@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { encryptSession, decryptSession, PASSPHRASE_ENV, KEY_FILE_ENV } from '../lib/session-store.js';
+import { AuthError } from '../lib/errors.js';
+import { tempTheme } from './helpers.js';
+
+const cookies = [{ name: 'laravel_session', value: 'abc', expires: '2030-01-01T00:00:00.000Z' }];
+
+test('a passphrase session decrypts with the same passphrase only', () => {
+  const env = { [PASSPHRASE_ENV]: 'correct horse' };
+  const envelope = encryptSession(cookies, env);
+  assert.equal(envelope.key, 'passphrase');
+  assert.ok(!JSON.stringify(envelope).includes('laravel_session'));
+  assert.deepEqual(decryptSession(envelope, env), cookies);
+
+  assert.throws(() => decryptSession(envelope, { [PASSPHRASE_ENV]: 'wrong' }), AuthError);
+  assert.throws(() => decryptSession(envelope, {}), /set ZID_SESSION_PASSPHRASE/);
+});
+
+test('each save uses a fresh salt and IV', () => {
+  const env = { [PASSPHRASE_ENV]: 'p' };
+  const a = encryptSession(cookies, env);
+  const b = encryptSession(cookies, env);
+  assert.notEqual(a.salt, b.salt);
+  assert.notEqual(a.data, b.data);
+});
+
+test('tampered sessions are rejected', () => {
+  const env = { [PASSPHRASE_ENV]: 'p' };
+  const envelope = encryptSession(cookies, env);
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  assert.throws(() => decryptSession({ ...envelope, data: data.toString('base64') }, env), /Could not decrypt/);
+  assert.throws(() => decryptSession({ ...envelope, version: 99 }, env), /Unsupported session file version 99/);
+});
+
+test('a key file only the user can read stands in for a missing keyring', { skip: process.platform === 'darwin' && 'uses the keychain' }, t => {
+  const dir = tempTheme(t);
+  const env = { [KEY_FILE_ENV]: path.join(dir, 'keys', 'session.key') };
+  const envelope = encryptSession(cookies, env);
+  if (envelope.key === 'keyring') return t.skip('a keyring is available');
+
+  assert.equal(envelope.key, 'file');
+  if (process.platform !== 'win32') assert.equal(fs.statSync(env[KEY_FILE_ENV]).mode & 0o777, 0o600);
+  assert.deepEqual(decryptSession(envelope, env), cookies);
+
+  fs.rmSync(env[KEY_FILE_ENV]);
+  assert.throws(() => decryptSession(envelope, env), /which is missing/);
+});
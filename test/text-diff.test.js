@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, unifiedDiff } from '../lib/text-diff.js';
+
+test('the edit script keeps common lines and marks the rest', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+    [' ', 'a'], ['-', 'b'], ['+', 'x'], [' ', 'c'], ['+', 'd']
+  ]);
+  assert.deepEqual(diffLines([], ['a']), [['+', 'a']]);
+  assert.deepEqual(diffLines(['a'], []), [['-', 'a']]);
+  assert.deepEqual(diffLines([], []), []);
+});
+
+test('applying the edit script to one side gives the other', () => {
+  const a = 'the quick brown fox jumps over the lazy dog'.split(' ');
+  const b = 'a quick brown cat jumps over the dog again'.split(' ');
+  const ops = diffLines(a, b);
+  assert.deepEqual(ops.filter(([type]) => type !== '+').map(([, line]) => line), a);
+  assert.deepEqual(ops.filter(([type]) => type !== '-').map(([, line]) => line), b);
+  assert.equal(ops.filter(([type]) => type === ' ').length, 6);
+});
+
+test('unified hunks carry line ranges and context', () => {
+  const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+  const after = before.replace('5', 'five');
+  assert.deepEqual(unifiedDiff(before, after, { context: 1 }), ['@@ -4,3 +4,3 @@', ' 4', '-5', '+five', ' 6']);
+});
+
+test('changes far apart get separate hunks, close ones share one', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+  const far = [...lines];
+  far[1] = 'changed 2';
+  far[17] = 'changed 18';
+  assert.equal(unifiedDiff(lines.join('\n'), far.join('\n')).filter(line => line.startsWith('@@')).length, 2);
+
+  const near = [...lines];
+  near[5] = 'changed 6';
+  near[9] = 'changed 10';
+  assert.deepEqual(unifiedDiff(lines.join('\n'), near.join('\n')).filter(line => line.startsWith('@@')), ['@@ -3,11 +3,11 @@']);
+});
+
+test('identical texts and CRLF line endings produce no hunks', () => {
+  assert.deepEqual(unifiedDiff('a\nb\n', 'a\r\nb'), []);
+  assert.deepEqual(unifiedDiff('', 'new\n'), ['@@ -0,0 +1 @@', '+new']);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lineAt, tokenizeTwig, findTemplateReferences } from '../lib/twig-syntax.js';
+
+test('lineAt counts lines and columns from 1', () => {
+  assert.deepEqual(lineAt('ab\ncd', 0), { line: 1, col: 1 });
+  assert.deepEqual(lineAt('ab\ncd', 4), { line: 2, col: 2 });
+});
+
+test('tokenizeTwig splits text, tags, output and comments', () => {
+  const { tokens, errors } = tokenizeTwig('a{% if x -%}{{ "}}" }}{# c #}b');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(tokens.map(token => token.type), ['text', 'tag', 'output', 'comment', 'text']);
+  assert.equal(tokens[1].name, 'if');
+  assert.equal(tokens[1].args, 'x');
+  assert.equal(tokens[2].value, '"}}"');
+});
+
+test('raw tags keep their body unparsed', () => {
+  const { tokens, errors } = tokenizeTwig('{% schema %}{"a": "{{"}{% endschema %}');
+  assert.deepEqual(errors, []);
+  assert.equal(tokens[0].body, '{"a": "{{"}');
+  assert.equal(tokens[1].name, 'endschema');
+});
+
+test('unclosed delimiters are reported where they start', () => {
+  const { errors } = tokenizeTwig('ok\n{{ oops');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].index, 3);
+  assert.match(tokenizeTwig('{% raw %}x').errors[0].message, /expected \{% endraw %\}/);
+});
+
+test('findTemplateReferences reads literal names only', () => {
+  const { tokens } = tokenizeTwig("{% include 'a.twig' %}{% extends \"b.twig\" %}{{ include('c.twig') }}{% include name %}");
+  assert.deepEqual(findTemplateReferences(tokens).map(ref => ref.name), ['a.twig', 'b.twig', 'c.twig']);
+});
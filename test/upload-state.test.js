@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { uploadTheme } from '../lib/themes.js';
+import { PASSPHRASE_ENV } from '../lib/session-store.js';
+import { configureLogger } from '../lib/log.js';
+import { tempTheme, validTheme, mockDashboard } from './helpers.js';
+
+configureLogger({ level: 'silent' });
+process.env[PASSPHRASE_ENV] = 'test passphrase';
+
+const THEME = validTheme({
+  'Vineta/layout.twig': `<link rel="stylesheet" href="{{ asset_url ~ 'main.css' }}" />`,
+  'Vineta/assets/main.css': 'body{margin:0}'
+});
+
+test('an unchanged tree is not uploaded again', async t => {
+  const root = tempTheme(t, THEME);
+  const { mock, config } = await mockDashboard(t, root);
+
+  const first = await uploadTheme(config);
+  assert.equal(first.status, 'uploaded');
+  const second = await uploadTheme(config);
+  assert.deepEqual(second, { status: 'skipped', hash: first.hash });
+  assert.equal(mock.state.uploads.length, 1);
+});
+
+test('a one-byte change is uploaded', async t => {
+  const root = tempTheme(t, THEME);
+  const { mock, config } = await mockDashboard(t, root);
+
+  const first = await uploadTheme(config);
+  fs.appendFileSync(path.join(root, 'Vineta/assets/main.css'), ' ');
+  const second = await uploadTheme(config);
+  assert.equal(second.status, 'uploaded');
+  assert.notEqual(second.hash, first.hash);
+  assert.equal(mock.state.uploads.length, 2);
+});
+
+test('force uploads an unchanged tree', async t => {
+  const root = tempTheme(t, THEME);
+  const { mock, config } = await mockDashboard(t, root);
+
+  await uploadTheme(config);
+  assert.equal((await uploadTheme({ ...config, force: true })).status, 'uploaded');
+  assert.equal(mock.state.uploads.length, 2);
+});
+
+test('the last upload is kept per theme and per profile', async t => {
+  const root = tempTheme(t, THEME);
+  const { mock, config } = await mockDashboard(t, root);
+  mock.state.themes.push({ id: 't2', name: 'Other', status: 'draft' });
+
+  await uploadTheme(config);
+  assert.equal((await uploadTheme({ ...config, themeId: 't2' })).status, 'uploaded');
+  assert.equal((await uploadTheme({ ...config, profile: 'staging' })).status, 'uploaded');
+  for (const target of [config, { ...config, themeId: 't2' }, { ...config, profile: 'staging' }]) {
+    assert.equal((await uploadTheme(target)).status, 'skipped');
+  }
+  assert.deepEqual(mock.state.uploads.map(upload => upload.themeId), ['t1', 't2', 't1']);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(root, '.zid/uploads.json'), 'utf-8'))).sort(), ['staging/t1', 't1', 't2']);
+});
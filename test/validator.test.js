@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTheme, formatProblem, REQUIRED_FILES, REQUIRED_TEMPLATES } from '../lib/validator.js';
+import { tempTheme } from './helpers.js';
+
+function validTheme(t, files = {}) {
+  const required = Object.fromEntries([...REQUIRED_FILES, ...REQUIRED_TEMPLATES].map(file => [file, '{{ store.name }}']));
+  return tempTheme(t, { ...required, ...files });
+}
+
+test('a complete theme has no problems', t => {
+  const result = validateTheme(validTheme(t, { 'common/card.twig': '{% if a %}{% else %}{% endif %}' }));
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.fileCount, REQUIRED_FILES.length + REQUIRED_TEMPLATES.length + 1);
+});
+
+test('missing required files are errors', t => {
+  const folder = tempTheme(t, { 'layout.twig': '' });
+  const { errors } = validateTheme(folder);
+  assert.ok(errors.some(e => e.file === 'header.twig' && e.message === 'Required file is missing'));
+  assert.ok(errors.some(e => e.file === 'templates/home.twig'));
+});
+
+test('mismatched and unclosed blocks point at the right line', t => {
+  const folder = validTheme(t, {
+    'templates/home.twig': '{% for a in b %}\n{% endif %}',
+    'common/open.twig': 'x\n{% block main %}'
+  });
+  const { errors } = validateTheme(folder);
+  const home = errors.find(e => e.file === 'templates/home.twig');
+  assert.equal(home.line, 2);
+  assert.match(home.message, /expected \{% endfor %\} to close \{% for %\} from line 1/);
+  const open = errors.find(e => e.file === 'common/open.twig');
+  assert.equal(open.line, 2);
+  assert.match(open.message, /Unclosed \{% block %\}/);
+});
+
+test('includes must resolve, platform partials excepted', t => {
+  const folder = validTheme(t, {
+    'common/card.twig': '',
+    'templates/home.twig': "{% include 'card.twig' %}{% include 'logo.twig' %}{% include 'template_for_x.twig' %}{% include 'gone.twig' %}"
+  });
+  const { errors } = validateTheme(folder);
+  assert.deepEqual(errors.map(e => e.message), ['Included template "gone.twig" does not exist']);
+});
+
+test('empty templates are warnings and problems format as file:line:col', t => {
+  const { warnings } = validateTheme(validTheme(t, { 'common/empty.twig': '  ' }));
+  assert.deepEqual(warnings.map(w => w.file), ['common/empty.twig']);
+  assert.equal(formatProblem({ file: 'a.twig', line: 2, col: 5, message: 'x' }), 'a.twig:2:5 x');
+  assert.equal(formatProblem({ file: 'a.twig', line: 0, col: 0, message: 'x' }), 'a.twig x');
+});
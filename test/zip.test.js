@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createZipBuffer, readZipBuffer } from '../lib/zip.js';
+
+test('crc32 matches the reference check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('the same entries always produce the same archive', () => {
+  const entries = [
+    { path: 'b.twig', data: Buffer.from('{{ b }}') },
+    { path: 'assets/a.css', data: Buffer.from('a{color:red}'.repeat(50)) }
+  ];
+  const first = createZipBuffer(entries);
+  assert.ok(first.equals(createZipBuffer([...entries].reverse())));
+  assert.equal(first.readUInt32LE(0), 0x04034b50);
+  assert.equal(first.readUInt32LE(first.length - 22), 0x06054b50);
+  assert.equal(first.readUInt16LE(first.length - 12), 2);
+});
+
+test('entries are stored sorted with forward slashes', () => {
+  const zip = createZipBuffer([
+    { path: 'z.twig', data: Buffer.from('z') },
+    { path: 'templates\\a.twig', data: Buffer.from('a') }
+  ]);
+  const firstName = zip.toString('utf-8', 30, 30 + zip.readUInt16LE(26));
+  assert.equal(firstName, 'templates/a.twig');
+});
+
+test('archives read back to the entries they were built from', () => {
+  const entries = [
+    { path: 'layout.twig', data: Buffer.from('{% block content %}{% endblock %}') },
+    { path: 'assets/logo.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2]) },
+    { path: 'assets/general.ltr.css', data: Buffer.from('body{margin:0}'.repeat(100)) }
+  ];
+  const read = readZipBuffer(createZipBuffer(entries));
+  assert.deepEqual(read.map(entry => entry.path), ['assets/general.ltr.css', 'assets/logo.png', 'layout.twig']);
+  for (const entry of entries) {
+    assert.ok(read.find(other => other.path === entry.path).data.equals(entry.data), entry.path);
+  }
+});
+
+test('reading something that is not a zip fails', () => {
+  assert.throws(() => readZipBuffer(Buffer.from('<html>login</html>'.repeat(3))), /Not a zip archive/);
+});